@@ -0,0 +1,43 @@
+// One-off migration: fills in the fields the Discover query filters and sorts
+// on (visibility, nameLower, category, memberCount, lastActivityAt) for groups
+// created before they existed. Firestore leaves documents missing a field out
+// of queries on it, so those groups never show up in Discover until this runs.
+//
+// Usage: GOOGLE_APPLICATION_CREDENTIALS=service-account.json npm run migrate:groups
+// Add --dry-run to only list the groups that would change.
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const VISIBILITIES = ['public', 'request', 'invite'];
+const BATCH_LIMIT = 450;
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp({ credential: applicationDefault() });
+const db = getFirestore();
+
+function missingFields(data) {
+    const members = data.members || [];
+    const updates = {};
+    if (!VISIBILITIES.includes(data.visibility)) updates.visibility = 'public';
+    if (typeof data.nameLower !== 'string') updates.nameLower = String(data.name).trim().slice(0, 100).toLowerCase();
+    if (typeof data.category !== 'string') updates.category = '';
+    if (data.memberCount !== members.length) updates.memberCount = members.length;
+    if (!data.lastActivityAt) updates.lastActivityAt = data.createdAt || new Date();
+    return updates;
+}
+
+const snapshot = await db.collection('groups').get();
+const changes = snapshot.docs
+    .map(docSnap => ({ ref: docSnap.ref, updates: missingFields(docSnap.data()) }))
+    .filter(change => Object.keys(change.updates).length > 0);
+
+for (let i = 0; i < changes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    changes.slice(i, i + BATCH_LIMIT).forEach(({ ref, updates }) => {
+        console.log(`${ref.id}: ${Object.keys(updates).join(', ')}`);
+        batch.update(ref, updates);
+    });
+    if (!dryRun) await batch.commit();
+}
+
+console.log(`${dryRun ? 'Would update' : 'Updated'} ${changes.length} of ${snapshot.size} groups.`);
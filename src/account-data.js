@@ -0,0 +1,48 @@
+import { db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    deleteDoc,
+    query,
+    where
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { leaveMembership } from './group-access.js';
+import { removeFromLeaderboard } from './leaderboard.js';
+import { getJoinedSession, leaveSharedSession } from './shared-session.js';
+import { clearSyncedSessions } from './session-sync.js';
+import { clearLocalData } from './storage.js';
+import { deleteProfile } from './profile.js';
+import { listDecks, deleteDeck } from './decks.js';
+import { listLessons, deleteLesson } from './lessons.js';
+
+// Removes everything stored for uid while the user can still authenticate,
+// so this has to run before the auth account itself is deleted.
+export async function purgeUserData(uid, onProgress = () => {}) {
+    const joined = getJoinedSession();
+    if (joined) await leaveSharedSession(joined.groupId);
+
+    onProgress('Leaving groups...');
+    const groupsSnap = await getDocs(query(collection(db, 'groups'), where('members', 'array-contains', uid)));
+    for (const groupSnap of groupsSnap.docs) {
+        await removeFromLeaderboard(groupSnap.id, uid);
+        await deleteDoc(doc(db, 'groups', groupSnap.id, 'presence', uid))
+            .catch(err => console.error(`Failed to clear presence in ${groupSnap.id}:`, err));
+        await leaveMembership(groupSnap.id, uid);
+    }
+
+    const invitesSnap = await getDocs(query(collection(db, 'invites'), where('createdBy', '==', uid)));
+    await Promise.all(invitesSnap.docs.map(inviteSnap => deleteDoc(inviteSnap.ref)));
+
+    onProgress('Deleting study sessions...');
+    await clearSyncedSessions();
+
+    onProgress('Deleting flashcards and lessons...');
+    for (const deck of await listDecks()) await deleteDeck(deck.id);
+    await Promise.all((await listLessons()).map(lesson => deleteLesson(lesson.id)));
+
+    onProgress('Deleting profile...');
+    await deleteProfile(uid);
+    await deleteDoc(doc(db, 'users', uid));
+    clearLocalData();
+}
@@ -0,0 +1,121 @@
+import { auth } from './firebase-config.js';
+import { deleteUser } from "https://www.gstatic.com/firebasejs/10.7.0/firebase-auth.js";
+import { requireAuth, expectSignOut } from './auth-guard.js';
+import {
+    PROVIDERS,
+    linkedProviders,
+    linkProvider,
+    unlinkProvider,
+    reauthenticate,
+    changePassword,
+    changeEmail,
+    showAccountError
+} from './auth.js';
+import { purgeUserData } from './account-data.js';
+
+function renderProviders() {
+    const container = document.getElementById('providersList');
+    const user = auth.currentUser;
+    if (!container || !user) return;
+
+    container.innerHTML = '';
+    const linked = linkedProviders(user);
+
+    const list = document.createElement('ul');
+    list.style.listStyle = 'none';
+    Object.entries(PROVIDERS).forEach(([providerId, { label, provider }]) => {
+        const isLinked = linked.includes(providerId);
+        if (!isLinked && !provider) return;
+
+        const item = document.createElement('li');
+        item.textContent = `${label}: ${isLinked ? 'linked' : 'not linked'} `;
+
+        const button = document.createElement('button');
+        if (isLinked) {
+            button.textContent = 'Unlink';
+            button.disabled = linked.length <= 1;
+            button.title = button.disabled ? 'You need at least one way to sign in' : '';
+            button.addEventListener('click', async () => {
+                if (await unlinkProvider(providerId)) renderAccount();
+            });
+        } else {
+            button.textContent = 'Link';
+            button.addEventListener('click', async () => {
+                if (await linkProvider(providerId)) renderAccount();
+            });
+        }
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+function renderAccount() {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const hasPassword = linkedProviders(user).includes('password');
+    document.getElementById('passwordSection').hidden = !hasPassword;
+    document.querySelectorAll('[data-password-only]').forEach(el => { el.hidden = !hasPassword; });
+    document.getElementById('currentEmail').textContent = user.email || 'none';
+    renderProviders();
+}
+
+async function deleteAccount() {
+    const user = auth.currentUser;
+    const confirmInput = document.getElementById('deleteConfirmInput');
+    const progress = document.getElementById('deleteProgress');
+    if (!user) return;
+
+    if (confirmInput.value.trim() !== 'DELETE') {
+        alert('Type DELETE to confirm');
+        return;
+    }
+    if (!confirm('Delete your account and all of your data permanently?')) return;
+
+    const deleteBtn = document.getElementById('deleteAccountBtn');
+    deleteBtn.disabled = true;
+    try {
+        await reauthenticate(user, document.getElementById('deletePasswordInput').value);
+        await purgeUserData(user.uid, (step) => { progress.textContent = step; });
+        expectSignOut();
+        await deleteUser(user);
+        alert('Your account has been deleted.');
+        window.location.href = 'index.html';
+    } catch (err) {
+        progress.textContent = '';
+        showAccountError(err);
+        deleteBtn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('backHomeBtn').addEventListener('click', () => window.location.href = 'homepage.html');
+
+    const passwordBtn = document.getElementById('changePasswordBtn');
+    passwordBtn.addEventListener('click', async () => {
+        const inputs = ['currentPasswordInput', 'newPasswordInput', 'confirmPasswordInput']
+            .map(id => document.getElementById(id));
+        passwordBtn.disabled = true;
+        if (await changePassword(...inputs.map(input => input.value))) {
+            inputs.forEach(input => { input.value = ''; });
+        }
+        passwordBtn.disabled = false;
+    });
+
+    const emailBtn = document.getElementById('changeEmailBtn');
+    emailBtn.addEventListener('click', async () => {
+        const emailInput = document.getElementById('newEmailInput');
+        const passwordInput = document.getElementById('emailPasswordInput');
+        emailBtn.disabled = true;
+        if (await changeEmail(emailInput.value, passwordInput.value)) {
+            emailInput.value = '';
+            passwordInput.value = '';
+        }
+        emailBtn.disabled = false;
+    });
+
+    document.getElementById('deleteAccountBtn').addEventListener('click', deleteAccount);
+
+    requireAuth(renderAccount);
+});
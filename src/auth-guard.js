@@ -0,0 +1,162 @@
+import { auth } from './firebase-config.js';
+import {
+    onAuthStateChanged,
+    sendEmailVerification,
+    signOut as firebaseSignOut
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-auth.js";
+import { clearLocalHistory } from './session-sync.js';
+
+const LOGIN_PAGE = 'index.html';
+const HOME_PAGE = 'homepage.html';
+const RESEND_COOLDOWN = 60000;
+
+let signingOut = false;
+let lastVerificationSent = 0;
+
+function currentPage() {
+    const page = window.location.pathname.split('/').pop() || HOME_PAGE;
+    return `${page}${window.location.search}${window.location.hash}`;
+}
+
+// Only same-origin pages are allowed as return targets, so the login page
+// can't be used to bounce users to another site.
+function safeReturnTo(value) {
+    if (!value) return null;
+    try {
+        const url = new URL(value, window.location.href);
+        if (url.origin !== window.location.origin || !url.pathname.endsWith('.html')) return null;
+        return url.href;
+    } catch (err) {
+        return null;
+    }
+}
+
+export function redirectToLogin() {
+    window.location.href = `${LOGIN_PAGE}?returnTo=${encodeURIComponent(currentPage())}`;
+}
+
+export function returnAfterLogin() {
+    const target = safeReturnTo(new URLSearchParams(window.location.search).get('returnTo'));
+    if (target) window.location.replace(target);
+}
+
+// Matches the email_verified check in firestore.rules. Google usually reports
+// its addresses as verified; other accounts confirm their email first.
+export function isVerified(user) {
+    return Boolean(user) && user.emailVerified;
+}
+
+export async function resendVerification() {
+    const user = auth.currentUser;
+    if (!user) return false;
+
+    if (Date.now() - lastVerificationSent < RESEND_COOLDOWN) {
+        alert('A verification email was just sent. Please wait a minute before trying again.');
+        return false;
+    }
+
+    try {
+        await sendEmailVerification(user);
+        lastVerificationSent = Date.now();
+        alert('Verification email sent! Check your inbox.');
+        return true;
+    } catch (err) {
+        const errorMsg = err.code === 'auth/too-many-requests'
+            ? 'Too many attempts. Please try again later.'
+            : 'Error sending verification email. Please try again.';
+        alert(errorMsg);
+        return false;
+    }
+}
+
+export async function refreshVerification() {
+    const user = auth.currentUser;
+    if (!user) return false;
+    await user.reload();
+    if (!auth.currentUser.emailVerified) return false;
+    await auth.currentUser.getIdToken(true);
+    return true;
+}
+
+function showVerificationNotice() {
+    document.querySelectorAll('[data-auth-content]').forEach(el => { el.hidden = true; });
+
+    const notice = document.createElement('div');
+    notice.style.textAlign = 'center';
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Please verify your email';
+    notice.appendChild(heading);
+
+    const p = document.createElement('p');
+    p.textContent = 'Group features are available once your email address is verified. Check your inbox for the verification link.';
+    notice.appendChild(p);
+
+    const resendBtn = document.createElement('button');
+    resendBtn.textContent = 'Resend Verification Email';
+    resendBtn.addEventListener('click', resendVerification);
+    notice.appendChild(resendBtn);
+
+    const checkBtn = document.createElement('button');
+    checkBtn.textContent = "I've Verified";
+    checkBtn.addEventListener('click', async () => {
+        checkBtn.disabled = true;
+        try {
+            if (await refreshVerification()) {
+                window.location.reload();
+            } else {
+                alert("Your email isn't verified yet.");
+            }
+        } catch (err) {
+            alert('Error checking verification. Please try again.');
+        }
+        checkBtn.disabled = false;
+    });
+    notice.appendChild(checkBtn);
+
+    const homeBtn = document.createElement('button');
+    homeBtn.textContent = 'Back to Home';
+    homeBtn.addEventListener('click', () => window.location.href = HOME_PAGE);
+    notice.appendChild(homeBtn);
+
+    document.body.prepend(notice);
+}
+
+// Runs onReady(user) once the page's signed-in user is known. Signed-out
+// visitors are sent to the login page and come back here afterwards.
+export function requireAuth(onReady, { requireVerified = false } = {}) {
+    let ready = false;
+
+    onAuthStateChanged(auth, (user) => {
+        if (!user) {
+            if (!signingOut) redirectToLogin();
+            return;
+        }
+        if (ready) return;
+        ready = true;
+
+        if (requireVerified && !isVerified(user)) {
+            showVerificationNotice();
+            return;
+        }
+        onReady(user);
+    });
+}
+
+// Call before deleting the signed-in account so the guard doesn't treat the
+// resulting sign-out as an expired session.
+export function expectSignOut() {
+    signingOut = true;
+}
+
+export async function signOut() {
+    signingOut = true;
+    try {
+        await firebaseSignOut(auth);
+        clearLocalHistory();
+        window.location.href = LOGIN_PAGE;
+    } catch (err) {
+        signingOut = false;
+        alert('Error logging out. Please try again.');
+    }
+}
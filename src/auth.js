@@ -1,12 +1,43 @@
-import { auth } from './firebase-config.js';
+import { auth, githubProvider, googleProvider } from './firebase-config.js';
 import { 
     createUserWithEmailAndPassword, 
     signInWithEmailAndPassword, 
-    signOut as firebaseSignOut,
     onAuthStateChanged,
     sendEmailVerification,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    signInWithPopup,
+    signInWithRedirect,
+    getRedirectResult,
+    linkWithPopup,
+    linkWithCredential,
+    unlink,
+    reauthenticateWithCredential,
+    reauthenticateWithPopup,
+    updatePassword,
+    verifyBeforeUpdateEmail,
+    EmailAuthProvider,
+    OAuthProvider,
+    GithubAuthProvider,
+    GoogleAuthProvider
 } from "https://www.gstatic.com/firebasejs/10.7.0/firebase-auth.js";
+import { loadCurrentProfile } from './profile.js';
+
+import { returnAfterLogin } from './auth-guard.js';
+
+export { signOut } from './auth-guard.js';
+
+export const PROVIDERS = {
+    'password': { label: 'Email & password' },
+    'github.com': { label: 'GitHub', provider: githubProvider, credentialFromError: GithubAuthProvider.credentialFromError },
+    'google.com': { label: 'Google', provider: googleProvider, credentialFromError: GoogleAuthProvider.credentialFromError }
+};
+
+// Popups are blocked or unsupported in some browsers; fall back to a full-page redirect.
+const REDIRECT_FALLBACK_ERRORS = ['auth/popup-blocked', 'auth/operation-not-supported-in-this-environment'];
+
+// The credential waiting to be linked survives the redirect sign-in fallback,
+// so it lives in sessionStorage rather than in memory.
+const PENDING_LINK_KEY = 'auth_pending_link';
 
 const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 60000;
@@ -45,7 +76,13 @@ function sanitizeErrorMessage(error) {
         'auth/wrong-password': 'Incorrect password.',
         'auth/too-many-requests': 'Too many attempts. Please try again later.',
         'auth/operation-not-allowed': 'This operation is not allowed.',
-        'auth/invalid-credential': 'Invalid email or password.'
+        'auth/invalid-credential': 'Invalid email or password.',
+        'auth/popup-closed-by-user': 'Sign-in window was closed before finishing.',
+        'auth/cancelled-popup-request': 'Sign-in window was closed before finishing.',
+        'auth/credential-already-in-use': 'That account is already linked to another user.',
+        'auth/provider-already-linked': 'That sign-in method is already linked.',
+        'auth/no-such-provider': 'That sign-in method is not linked.',
+        'auth/requires-recent-login': 'Please log in again to make this change.'
     };
     
     return errorMap[error.code] || 'An error occurred. Please try again.';
@@ -81,7 +118,12 @@ onAuthStateChanged(auth, (user) => {
         const displayEmail = document.getElementById('display-email');
         const emailVerified = document.getElementById('email-verified');
         
-        if (userEmail) userEmail.textContent = sanitizeEmail(user.email);
+        if (userEmail) {
+            userEmail.textContent = '';
+            loadCurrentProfile()
+                .then(profile => { if (profile) userEmail.textContent = profile.displayName; })
+                .catch(err => console.error('Failed to load profile:', err));
+        }
         if (displayEmail) displayEmail.textContent = sanitizeEmail(user.email);
         if (emailVerified) emailVerified.textContent = user.emailVerified ? 'Yes' : 'No';
     } else {
@@ -94,6 +136,7 @@ onAuthStateChanged(auth, (user) => {
 });
 
 function sanitizeEmail(email) {
+    if (!email) return 'none';
     const [localPart, domain] = email.split('@');
     const hidden = localPart.slice(0, 2) + '*'.repeat(Math.max(0, localPart.length - 2));
     return `${hidden}@${domain}`;
@@ -137,6 +180,7 @@ export async function signUp() {
         
         emailInput.value = '';
         passwordInput.value = '';
+        returnAfterLogin();
     } catch (error) {
         showMessage(sanitizeErrorMessage(error), true);
     }
@@ -167,24 +211,216 @@ export async function signIn() {
     }
     
     try {
-        await signInWithEmailAndPassword(auth, email, password);
+        const userCredential = await signInWithEmailAndPassword(auth, email, password);
+        await completePendingLink(userCredential.user);
         showMessage('Login successful!');
         emailInput.value = '';
         passwordInput.value = '';
+        returnAfterLogin();
     } catch (error) {
         showMessage(sanitizeErrorMessage(error), true);
     }
 }
 
-export async function signOut() {
+function savePendingLink(credential, email, providerId) {
+    if (!credential) return;
+    sessionStorage.setItem(PENDING_LINK_KEY, JSON.stringify({ credential: credential.toJSON(), email, providerId }));
+}
+
+function takePendingLink() {
+    const stored = sessionStorage.getItem(PENDING_LINK_KEY);
+    if (!stored) return null;
+    sessionStorage.removeItem(PENDING_LINK_KEY);
+
     try {
-        await firebaseSignOut(auth);
-        showMessage('Logged out successfully');
+        const { credential, email, providerId } = JSON.parse(stored);
+        if (!PROVIDERS[providerId]) return null;
+        return { credential: OAuthProvider.credentialFromJSON(credential), email, label: PROVIDERS[providerId].label };
+    } catch (err) {
+        console.error('Failed to restore pending link:', err);
+        return null;
+    }
+}
+
+async function completePendingLink(user) {
+    const pendingLink = takePendingLink();
+    if (!pendingLink) return;
+    const { credential, email, label } = pendingLink;
+    if (email && user.email && email.toLowerCase() !== user.email.toLowerCase()) return;
+
+    try {
+        await linkWithCredential(user, credential);
+        showMessage(`${label} is now linked to your account.`);
     } catch (error) {
         showMessage(sanitizeErrorMessage(error), true);
     }
 }
 
+// The same email already has an account with another sign-in method: keep the
+// provider credential and link it once the user proves they own that account.
+function handleProviderError(error, providerId) {
+    const { label, credentialFromError } = PROVIDERS[providerId];
+    if (error.code !== 'auth/account-exists-with-different-credential') {
+        showMessage(sanitizeErrorMessage(error), true);
+        return;
+    }
+
+    const email = error.customData ? error.customData.email : null;
+    savePendingLink(credentialFromError(error), email, providerId);
+
+    const emailInput = document.getElementById('email');
+    if (emailInput && email) emailInput.value = email;
+    showMessage(`An account already exists for this email. Log in with the method you used before to link ${label}.`, true);
+}
+
+export async function signInWithProvider(providerId) {
+    const { provider } = PROVIDERS[providerId] || {};
+    if (!provider) return;
+
+    try {
+        const userCredential = await signInWithPopup(auth, provider);
+        await completePendingLink(userCredential.user);
+        showMessage('Login successful!');
+        returnAfterLogin();
+    } catch (error) {
+        if (REDIRECT_FALLBACK_ERRORS.includes(error.code)) {
+            sessionStorage.setItem('auth_redirect_provider', providerId);
+            await signInWithRedirect(auth, provider);
+            return;
+        }
+        handleProviderError(error, providerId);
+    }
+}
+
+export async function handleRedirectResult() {
+    const providerId = sessionStorage.getItem('auth_redirect_provider');
+    if (!providerId) return;
+    sessionStorage.removeItem('auth_redirect_provider');
+
+    try {
+        const result = await getRedirectResult(auth);
+        if (!result) return;
+        await completePendingLink(result.user);
+        showMessage('Login successful!');
+        returnAfterLogin();
+    } catch (error) {
+        if (PROVIDERS[providerId]) handleProviderError(error, providerId);
+    }
+}
+
+export function linkedProviders(user) {
+    return user.providerData.map(info => info.providerId).filter(id => PROVIDERS[id]);
+}
+
+export async function linkProvider(providerId) {
+    const user = auth.currentUser;
+    const { provider, label } = PROVIDERS[providerId] || {};
+    if (!user || !provider) return false;
+
+    try {
+        await linkWithPopup(user, provider);
+        showMessage(`${label} linked.`);
+        return true;
+    } catch (error) {
+        showMessage(sanitizeErrorMessage(error), true);
+        return false;
+    }
+}
+
+export async function unlinkProvider(providerId) {
+    const user = auth.currentUser;
+    if (!user || !PROVIDERS[providerId]) return false;
+
+    if (linkedProviders(user).length <= 1) {
+        showMessage('You need at least one way to sign in. Link another method first.', true);
+        return false;
+    }
+    if (!confirm(`Stop signing in with ${PROVIDERS[providerId].label}?`)) return false;
+
+    try {
+        await unlink(user, providerId);
+        showMessage(`${PROVIDERS[providerId].label} unlinked.`);
+        return true;
+    } catch (error) {
+        showMessage(sanitizeErrorMessage(error), true);
+        return false;
+    }
+}
+
+// Sensitive changes need a fresh login: password accounts confirm their
+// password, provider-only accounts sign in again through a popup.
+export async function reauthenticate(user, password) {
+    if (linkedProviders(user).includes('password')) {
+        if (!password) throw new Error('Please enter your current password');
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+        return;
+    }
+
+    const providerId = linkedProviders(user).find(id => PROVIDERS[id].provider);
+    await reauthenticateWithPopup(user, PROVIDERS[providerId].provider);
+}
+
+export function showAccountError(error) {
+    showMessage(error.code ? sanitizeErrorMessage(error) : error.message, true);
+}
+
+export async function changePassword(currentPassword, newPassword, confirmPassword) {
+    const user = auth.currentUser;
+    if (!user) return false;
+
+    if (!validatePassword(newPassword)) {
+        showMessage('Password must be at least 8 characters', true);
+        return false;
+    }
+    if (newPassword !== confirmPassword) {
+        showMessage('New passwords do not match', true);
+        return false;
+    }
+    if (!checkRateLimit(`password_${user.uid}`)) {
+        showMessage('Too many attempts. Please try again later.', true);
+        return false;
+    }
+
+    try {
+        await reauthenticate(user, currentPassword);
+        await updatePassword(user, newPassword);
+        showMessage('Password changed!');
+        return true;
+    } catch (error) {
+        showAccountError(error);
+        return false;
+    }
+}
+
+export async function changeEmail(newEmail, currentPassword) {
+    const user = auth.currentUser;
+    if (!user) return false;
+
+    const email = String(newEmail || '').trim();
+    if (!validateEmail(email)) {
+        showMessage('Please enter a valid email address', true);
+        return false;
+    }
+    if (user.email && email.toLowerCase() === user.email.toLowerCase()) {
+        showMessage('That is already your email address', true);
+        return false;
+    }
+    if (!checkRateLimit(`email_${user.uid}`)) {
+        showMessage('Too many attempts. Please try again later.', true);
+        return false;
+    }
+
+    try {
+        await reauthenticate(user, currentPassword);
+        await verifyBeforeUpdateEmail(user, email);
+        showMessage(`Verification link sent to ${email}. Your email changes once you open it.`);
+        return true;
+    } catch (error) {
+        showAccountError(error);
+        return false;
+    }
+}
+
 export async function resetPassword() {
     const emailInput = document.getElementById('email');
     let email = emailInput ? emailInput.value.trim() : '';
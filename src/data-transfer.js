@@ -0,0 +1,116 @@
+const CSV_COLUMNS = ['timestamp', 'date', 'time', 'duration', 'formatted', 'type', 'subject', 'topic', 'notes', 'groupId'];
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+function escapeCsvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unescapeCsvCell(text) {
+    return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+export function toCsv(sessions, totals) {
+    const rows = [CSV_COLUMNS.join(',')];
+    sessions.forEach(session => {
+        rows.push(CSV_COLUMNS.map(column => escapeCsvCell(session[column])).join(','));
+    });
+    rows.push(['', '', '', totals.total, totals.formatted, 'total', '', '', `${totals.sessions} sessions`, '']
+        .map(escapeCsvCell).join(','));
+    return rows.join('\r\n');
+}
+
+export function toJson(sessions, totals) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        totals,
+        sessions
+    }, null, 2);
+}
+
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function fromCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    if (!columns.includes('timestamp') || !columns.includes('duration')) {
+        throw new Error('CSV must have timestamp and duration columns');
+    }
+
+    return rows.map(cells => {
+        const entry = {};
+        columns.forEach((column, i) => {
+            if (!CSV_COLUMNS.includes(column)) return;
+            const value = unescapeCsvCell(cells[i] || '');
+            if (value === '') return;
+            entry[column] = column === 'timestamp' || column === 'duration' ? Number(value) : value;
+        });
+        return entry;
+    }).filter(entry => entry.type !== 'total');
+}
+
+function fromJson(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.sessions;
+    if (!Array.isArray(list)) throw new Error('JSON must contain a sessions array');
+    return list;
+}
+
+export async function readImportFile(file) {
+    if (file.size > MAX_IMPORT_BYTES) throw new Error('File is too large to import');
+
+    const text = await file.text();
+    return file.name.toLowerCase().endsWith('.csv') ? fromCsv(text) : fromJson(text);
+}
+
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
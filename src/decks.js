@@ -0,0 +1,171 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    addDoc,
+    getDocs,
+    updateDoc,
+    deleteDoc,
+    writeBatch,
+    increment,
+    serverTimestamp,
+    Timestamp,
+    query,
+    where,
+    orderBy,
+    limit,
+    getCountFromServer
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { newCardState, schedule, endOfStudyDay } from './sm2.js';
+
+const MAX_DECK_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_CARD_TEXT_LENGTH = 1000;
+const REVIEW_LIMIT = 100;
+const BATCH_LIMIT = 450;
+
+function decksCollection(uid) {
+    return collection(db, 'users', uid, 'decks');
+}
+
+function cardsCollection(uid, deckId) {
+    return collection(db, 'users', uid, 'decks', deckId, 'cards');
+}
+
+function requireUser() {
+    const user = auth.currentUser;
+    if (!user) throw new Error('You must be logged in to use flashcards');
+    return user;
+}
+
+function cleanText(text, maxLength) {
+    return String(text || '').trim().slice(0, maxLength);
+}
+
+export function validateCard(front, back) {
+    const f = String(front || '').trim();
+    const b = String(back || '').trim();
+    return f.length >= 1 && b.length >= 1 && f.length <= MAX_CARD_TEXT_LENGTH && b.length <= MAX_CARD_TEXT_LENGTH;
+}
+
+export async function listDecks() {
+    const user = requireUser();
+    const snapshot = await getDocs(query(decksCollection(user.uid), orderBy('createdAt', 'desc')));
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+export async function createDeck(name, description = '', source = null) {
+    const user = requireUser();
+    const deckName = cleanText(name, MAX_DECK_NAME_LENGTH);
+    if (deckName.length < 1) throw new Error(`Deck names must be between 1 and ${MAX_DECK_NAME_LENGTH} characters`);
+
+    const ref = await addDoc(decksCollection(user.uid), {
+        name: deckName,
+        description: cleanText(description, MAX_DESCRIPTION_LENGTH),
+        cardCount: 0,
+        ...(source ? { source } : {}),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return ref.id;
+}
+
+export async function deleteDeck(deckId) {
+    const user = requireUser();
+    const snapshot = await getDocs(cardsCollection(user.uid, deckId));
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(i, i + BATCH_LIMIT).forEach(docSnap => batch.delete(docSnap.ref));
+        await batch.commit();
+    }
+    await deleteDoc(doc(decksCollection(user.uid), deckId));
+}
+
+export async function listCards(deckId) {
+    const user = requireUser();
+    const snapshot = await getDocs(query(cardsCollection(user.uid, deckId), orderBy('createdAt')));
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+// Cards are written in batches together with the deck's card count.
+export async function addCards(deckId, cards) {
+    const user = requireUser();
+    const valid = cards.filter(card => validateCard(card.front, card.back));
+
+    for (let i = 0; i < valid.length; i += BATCH_LIMIT) {
+        const chunk = valid.slice(i, i + BATCH_LIMIT);
+        const batch = writeBatch(db);
+        chunk.forEach(card => {
+            const state = newCardState();
+            batch.set(doc(cardsCollection(user.uid, deckId)), {
+                front: cleanText(card.front, MAX_CARD_TEXT_LENGTH),
+                back: cleanText(card.back, MAX_CARD_TEXT_LENGTH),
+                ...state,
+                due: Timestamp.fromDate(state.due),
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+        });
+        batch.update(doc(decksCollection(user.uid), deckId), {
+            cardCount: increment(chunk.length),
+            updatedAt: serverTimestamp()
+        });
+        await batch.commit();
+    }
+    return valid.length;
+}
+
+export async function updateCard(deckId, cardId, front, back) {
+    const user = requireUser();
+    if (!validateCard(front, back)) throw new Error(`Both sides must be between 1 and ${MAX_CARD_TEXT_LENGTH} characters`);
+    await updateDoc(doc(cardsCollection(user.uid, deckId), cardId), {
+        front: cleanText(front, MAX_CARD_TEXT_LENGTH),
+        back: cleanText(back, MAX_CARD_TEXT_LENGTH),
+        updatedAt: serverTimestamp()
+    });
+}
+
+export async function deleteCard(deckId, cardId) {
+    const user = requireUser();
+    const batch = writeBatch(db);
+    batch.delete(doc(cardsCollection(user.uid, deckId), cardId));
+    batch.update(doc(decksCollection(user.uid), deckId), {
+        cardCount: increment(-1),
+        updatedAt: serverTimestamp()
+    });
+    await batch.commit();
+}
+
+export async function loadDueCards(deckId, now = Date.now()) {
+    const user = requireUser();
+    const dueQuery = query(
+        cardsCollection(user.uid, deckId),
+        where('due', '<=', Timestamp.fromDate(endOfStudyDay(now))),
+        orderBy('due'),
+        limit(REVIEW_LIMIT)
+    );
+    const snapshot = await getDocs(dueQuery);
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+export async function reviewCard(deckId, card, rating, now = Date.now()) {
+    const user = requireUser();
+    const next = schedule(card, rating, now);
+    await updateDoc(doc(cardsCollection(user.uid, deckId), card.id), {
+        ...next,
+        due: Timestamp.fromDate(next.due),
+        lastReviewedAt: serverTimestamp()
+    });
+    return { ...card, ...next, due: Timestamp.fromDate(next.due) };
+}
+
+export async function countDueCards(now = Date.now()) {
+    const user = requireUser();
+    const decks = await listDecks();
+    const cutoff = Timestamp.fromDate(endOfStudyDay(now));
+    const counts = await Promise.all(decks.map(async deck => {
+        const snapshot = await getCountFromServer(query(cardsCollection(user.uid, deck.id), where('due', '<=', cutoff)));
+        return { ...deck, due: snapshot.data().count };
+    }));
+    return counts;
+}
@@ -0,0 +1,329 @@
+import { requireAuth } from './auth-guard.js';
+import {
+    createDeck,
+    deleteDeck,
+    listCards,
+    addCards,
+    updateCard,
+    deleteCard,
+    loadDueCards,
+    reviewCard,
+    countDueCards
+} from './decks.js';
+import { RATINGS, schedule, describeInterval } from './sm2.js';
+import { validateSession, addStoredSession, loadStoredSessions } from './session-store.js';
+import { queueSession } from './session-sync.js';
+import { publishStudyTotals } from './leaderboard.js';
+import { checkGoals } from './goals.js';
+import { dailyTotals } from './study-day.js';
+
+// Time spent on a single card beyond this is treated as a break, not review.
+const MAX_CARD_TIME = 300000;
+
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel('stopwatch') : null;
+
+let currentDeck = null;
+let editingCardId = null;
+let review = null;
+
+function showView(id) {
+    ['decksView', 'deckView', 'reviewView'].forEach(viewId => {
+        document.getElementById(viewId).hidden = viewId !== id;
+    });
+}
+
+function formatTime(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function showError(err, fallback) {
+    alert(err.code ? fallback : err.message);
+}
+
+async function renderDecks() {
+    showView('decksView');
+    const container = document.getElementById('decksList');
+    container.innerHTML = '';
+
+    let decks;
+    try {
+        decks = await countDueCards();
+    } catch (err) {
+        container.textContent = 'Error loading decks. Please try again.';
+        return;
+    }
+
+    if (decks.length === 0) {
+        container.textContent = 'No decks yet. Create one to get started!';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.style.listStyle = 'none';
+    decks.forEach(deck => {
+        const item = document.createElement('li');
+        item.textContent = `${deck.name} - ${deck.cardCount || 0} card${deck.cardCount !== 1 ? 's' : ''}, ${deck.due} due `;
+        if (deck.description) item.title = deck.description;
+
+        const reviewBtn = document.createElement('button');
+        reviewBtn.textContent = 'Review';
+        reviewBtn.disabled = deck.due === 0;
+        reviewBtn.addEventListener('click', () => startReview(deck));
+        item.appendChild(reviewBtn);
+
+        const manageBtn = document.createElement('button');
+        manageBtn.textContent = 'Edit Cards';
+        manageBtn.addEventListener('click', () => openDeck(deck));
+        item.appendChild(manageBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete "${deck.name}" and all its cards?`)) return;
+            try {
+                await deleteDeck(deck.id);
+                renderDecks();
+            } catch (err) {
+                showError(err, 'Error deleting deck. Please try again.');
+            }
+        });
+        item.appendChild(deleteBtn);
+
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+async function submitDeck() {
+    const nameInput = document.getElementById('deckNameInput');
+    const descriptionInput = document.getElementById('deckDescriptionInput');
+    try {
+        await createDeck(nameInput.value, descriptionInput.value);
+        nameInput.value = '';
+        descriptionInput.value = '';
+        renderDecks();
+    } catch (err) {
+        showError(err, 'Error creating deck. Please try again.');
+    }
+}
+
+function resetCardForm() {
+    editingCardId = null;
+    document.getElementById('cardFrontInput').value = '';
+    document.getElementById('cardBackInput').value = '';
+    document.getElementById('saveCardBtn').textContent = 'Add Card';
+    document.getElementById('cancelCardBtn').hidden = true;
+}
+
+async function renderCards() {
+    const container = document.getElementById('cardsList');
+    container.innerHTML = '';
+
+    let cards;
+    try {
+        cards = await listCards(currentDeck.id);
+    } catch (err) {
+        container.textContent = 'Error loading cards. Please try again.';
+        return;
+    }
+
+    if (cards.length === 0) {
+        container.textContent = 'This deck has no cards yet.';
+        return;
+    }
+
+    const list = document.createElement('ol');
+    list.style.textAlign = 'left';
+    cards.forEach(card => {
+        const item = document.createElement('li');
+        item.textContent = `${card.front} → ${card.back} `;
+        item.title = `Next review: ${card.due.toDate().toLocaleDateString()}`;
+
+        const editBtn = document.createElement('button');
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => {
+            editingCardId = card.id;
+            document.getElementById('cardFrontInput').value = card.front;
+            document.getElementById('cardBackInput').value = card.back;
+            document.getElementById('saveCardBtn').textContent = 'Save Card';
+            document.getElementById('cancelCardBtn').hidden = false;
+        });
+        item.appendChild(editBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm('Delete this card?')) return;
+            try {
+                await deleteCard(currentDeck.id, card.id);
+                if (editingCardId === card.id) resetCardForm();
+                renderCards();
+            } catch (err) {
+                showError(err, 'Error deleting card. Please try again.');
+            }
+        });
+        item.appendChild(deleteBtn);
+
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+function openDeck(deck) {
+    currentDeck = deck;
+    resetCardForm();
+    document.getElementById('deckHeading').textContent = deck.name;
+    showView('deckView');
+    renderCards();
+}
+
+async function submitCard() {
+    const front = document.getElementById('cardFrontInput').value;
+    const back = document.getElementById('cardBackInput').value;
+    try {
+        if (editingCardId) {
+            await updateCard(currentDeck.id, editingCardId, front, back);
+        } else if (await addCards(currentDeck.id, [{ front, back }]) === 0) {
+            alert('Both sides of a card need text (up to 1000 characters)');
+            return;
+        }
+        resetCardForm();
+        renderCards();
+    } catch (err) {
+        showError(err, 'Error saving card. Please try again.');
+    }
+}
+
+// Review time is logged like a stopwatch session so it counts towards
+// totals, goals and leaderboards.
+function logReviewSession() {
+    if (!review || review.activeTime < 1000) return;
+
+    const endedAt = new Date();
+    const session = validateSession({
+        duration: review.activeTime,
+        formatted: formatTime(review.activeTime),
+        date: endedAt.toLocaleDateString(),
+        time: endedAt.toLocaleTimeString(),
+        timestamp: endedAt.getTime(),
+        type: 'flashcards',
+        topic: review.deck.name.slice(0, 100),
+        notes: `${review.reviewed} card${review.reviewed !== 1 ? 's' : ''} reviewed`
+    });
+    if (!session) return;
+
+    try {
+        const saved = addStoredSession(session);
+        queueSession(saved);
+        if (channel) channel.postMessage({ type: 'sessions' });
+        const sessions = loadStoredSessions();
+        publishStudyTotals(sessions);
+        checkGoals(dailyTotals(sessions));
+    } catch (err) {
+        console.error('Failed to log review session:', err);
+    }
+}
+
+function trackReviewTime() {
+    const now = Date.now();
+    review.activeTime += Math.min(now - review.lastActivity, MAX_CARD_TIME);
+    review.lastActivity = now;
+}
+
+function renderReviewCard() {
+    const card = review.queue[0];
+    document.getElementById('reviewProgress').textContent = `${review.queue.length} left · ${review.reviewed} reviewed`;
+    document.getElementById('reviewFront').textContent = card.front;
+    document.getElementById('reviewBack').textContent = card.back;
+    document.getElementById('reviewBack').hidden = true;
+    document.getElementById('showAnswerBtn').hidden = false;
+
+    const ratingButtons = document.getElementById('ratingButtons');
+    ratingButtons.hidden = true;
+    ratingButtons.innerHTML = '';
+    Object.entries(RATINGS).forEach(([rating, { label }]) => {
+        const button = document.createElement('button');
+        button.textContent = `${label} (${describeInterval(schedule(card, rating).interval)})`;
+        button.addEventListener('click', () => rateCard(rating));
+        ratingButtons.appendChild(button);
+    });
+}
+
+async function startReview(deck) {
+    let queue;
+    try {
+        queue = await loadDueCards(deck.id);
+    } catch (err) {
+        showError(err, 'Error loading cards. Please try again.');
+        return;
+    }
+    if (queue.length === 0) {
+        alert('No cards are due in this deck.');
+        return;
+    }
+
+    review = { deck, queue, reviewed: 0, activeTime: 0, lastActivity: Date.now() };
+    document.getElementById('reviewHeading').textContent = deck.name;
+    showView('reviewView');
+    renderReviewCard();
+}
+
+async function rateCard(rating) {
+    const ratingButtons = document.getElementById('ratingButtons');
+    ratingButtons.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    trackReviewTime();
+
+    const card = review.queue.shift();
+    try {
+        const updated = await reviewCard(review.deck.id, card, rating);
+        review.reviewed += 1;
+        // Failed cards come back at the end of this review.
+        if (updated.interval === 0) review.queue.push(updated);
+    } catch (err) {
+        review.queue.unshift(card);
+        showError(err, 'Error saving review. Please try again.');
+    }
+
+    if (review.queue.length === 0) {
+        finishReview();
+    } else {
+        renderReviewCard();
+    }
+}
+
+function finishReview() {
+    if (!review) return;
+    trackReviewTime();
+    const { reviewed } = review;
+    logReviewSession();
+    review = null;
+    if (reviewed > 0) alert(`Review finished! ${reviewed} card${reviewed !== 1 ? 's' : ''} reviewed.`);
+    renderDecks();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('createDeckBtn').addEventListener('click', submitDeck);
+    document.getElementById('saveCardBtn').addEventListener('click', submitCard);
+    document.getElementById('cancelCardBtn').addEventListener('click', resetCardForm);
+    document.getElementById('backToDecksBtn').addEventListener('click', renderDecks);
+    document.getElementById('endReviewBtn').addEventListener('click', finishReview);
+    document.getElementById('backHomeBtn').addEventListener('click', () => window.location.href = 'homepage.html');
+
+    document.getElementById('showAnswerBtn').addEventListener('click', () => {
+        document.getElementById('reviewBack').hidden = false;
+        document.getElementById('showAnswerBtn').hidden = true;
+        document.getElementById('ratingButtons').hidden = false;
+    });
+
+    requireAuth(renderDecks);
+});
+
+window.addEventListener('pagehide', () => {
+    if (!review) return;
+    trackReviewTime();
+    logReviewSession();
+    review = null;
+});
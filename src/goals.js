@@ -0,0 +1,117 @@
+import { loadData, storeData } from './storage.js';
+import { dayKey, studyDate, weekStart } from './study-day.js';
+import { playChime, showNotification } from './notifications.js';
+
+const GOALS_KEY = 'stopwatch_goals';
+const GOAL_HISTORY_KEY = 'stopwatch_goal_history';
+const GOAL_NOTIFIED_KEY = 'stopwatch_goal_notified';
+const MAX_DAILY_MINUTES = 24 * 60;
+const MAX_WEEKLY_MINUTES = 7 * 24 * 60;
+
+function validMinutes(value, max) {
+    return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+export function validateGoals(goals) {
+    if (!goals || typeof goals !== 'object') return null;
+    if (!validMinutes(goals.daily, MAX_DAILY_MINUTES)) return null;
+    if (!validMinutes(goals.weekly, MAX_WEEKLY_MINUTES)) return null;
+    return goals;
+}
+
+function validateHistory(history) {
+    if (!history || typeof history !== 'object') return null;
+    if (!history.daily || typeof history.daily !== 'object') return null;
+    if (!history.weekly || typeof history.weekly !== 'object') return null;
+    return history;
+}
+
+let goals = validateGoals(loadData(GOALS_KEY, null)) || { daily: 0, weekly: 0 };
+let history = validateHistory(loadData(GOAL_HISTORY_KEY, null)) || { daily: {}, weekly: {} };
+
+export function getGoals() {
+    return { ...goals };
+}
+
+function currentWeekKey() {
+    return dayKey(weekStart(studyDate()));
+}
+
+function recordGoals() {
+    history.daily[dayKey(studyDate())] = goals.daily;
+    history.weekly[currentWeekKey()] = goals.weekly;
+    storeData(GOAL_HISTORY_KEY, history);
+}
+
+export function setGoals(newGoals) {
+    if (!validateGoals(newGoals)) return false;
+    goals = { daily: newGoals.daily, weekly: newGoals.weekly };
+    storeData(GOALS_KEY, goals);
+    recordGoals();
+    return true;
+}
+
+export function goalProgress(totals) {
+    const today = studyDate();
+    const monday = weekStart(today);
+    let weekTotal = 0;
+    for (let d = new Date(monday); d <= today; d.setDate(d.getDate() + 1)) {
+        weekTotal += totals.get(dayKey(d)) || 0;
+    }
+
+    return {
+        daily: { done: totals.get(dayKey(today)) || 0, goal: goals.daily * 60000 },
+        weekly: { done: weekTotal, goal: goals.weekly * 60000 }
+    };
+}
+
+// Called when a session is saved: records today's goals in the history and
+// notifies once per day or week when a goal is reached.
+export function checkGoals(totals) {
+    recordGoals();
+
+    const progress = goalProgress(totals);
+    const notified = loadData(GOAL_NOTIFIED_KEY, {}) || {};
+    const todayKey = dayKey(studyDate());
+    const weekKey = currentWeekKey();
+    let changed = false;
+
+    if (progress.daily.goal > 0 && progress.daily.done >= progress.daily.goal && notified.daily !== todayKey) {
+        notified.daily = todayKey;
+        changed = true;
+        playChime();
+        showNotification('Daily goal reached', `You studied ${goals.daily} minutes today.`);
+    }
+
+    if (progress.weekly.goal > 0 && progress.weekly.done >= progress.weekly.goal && notified.weekly !== weekKey) {
+        notified.weekly = weekKey;
+        changed = true;
+        playChime();
+        showNotification('Weekly goal reached', `You studied ${goals.weekly} minutes this week.`);
+    }
+
+    if (changed) storeData(GOAL_NOTIFIED_KEY, notified);
+    return progress;
+}
+
+export function goalHistorySummary(totals) {
+    const dailyEntries = Object.entries(history.daily).filter(([, minutes]) => minutes > 0);
+    const weeklyEntries = Object.entries(history.weekly).filter(([, minutes]) => minutes > 0);
+
+    const daysMet = dailyEntries.filter(([key, minutes]) => (totals.get(key) || 0) >= minutes * 60000).length;
+    const weeksMet = weeklyEntries.filter(([key, minutes]) => {
+        const [year, month, date] = key.split('-').map(Number);
+        let weekTotal = 0;
+        for (let i = 0; i < 7; i++) {
+            weekTotal += totals.get(dayKey(new Date(year, month - 1, date + i))) || 0;
+        }
+        return weekTotal >= minutes * 60000;
+    }).length;
+
+    return {
+        daysMet,
+        daysTracked: dailyEntries.length,
+        weeksMet,
+        weeksTracked: weeklyEntries.length
+    };
+}
@@ -0,0 +1,513 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    writeBatch,
+    deleteField,
+    arrayUnion,
+    increment,
+    serverTimestamp,
+    Timestamp,
+    query,
+    where,
+    onSnapshot,
+    runTransaction
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { getProfile, getProfiles } from './profile.js';
+
+export const VISIBILITY_LABELS = {
+    public: 'Public',
+    request: 'Request to join',
+    invite: 'Invite only'
+};
+
+const MAX_INVITE_USES = 100;
+const MAX_INVITE_DAYS = 30;
+const BATCH_LIMIT = 450;
+const GROUP_SUBCOLLECTIONS = [
+    'messages',
+    'chatState',
+    'resources',
+    'publications',
+    'scheduledSessions',
+    'leaderboard',
+    'presence',
+    'sharedSession',
+    'joinRequests',
+    'joinedVia'
+];
+const NESTED_SUBCOLLECTIONS = { publications: ['versions'] };
+
+export function groupVisibility(data) {
+    return VISIBILITY_LABELS[data.visibility] ? data.visibility : 'public';
+}
+
+function generateInviteCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function inviteUrl(code) {
+    const url = new URL('groups.html', window.location.href);
+    url.searchParams.set('invite', code);
+    return url.toString();
+}
+
+function joinRequestRef(groupId, uid) {
+    return doc(db, 'groups', groupId, 'joinRequests', uid);
+}
+
+export async function requestToJoin(groupId, name) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to request to join');
+        return;
+    }
+
+    try {
+        await setDoc(joinRequestRef(groupId, user.uid), {
+            name,
+            createdAt: serverTimestamp()
+        });
+        alert('Request sent! The group owner will review it.');
+    } catch (err) {
+        const errorMsg = err.code ? 'Error sending request. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function cancelJoinRequest(groupId) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    try {
+        await deleteDoc(joinRequestRef(groupId, user.uid));
+    } catch (err) {
+        const errorMsg = err.code ? 'Error cancelling request. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function hasPendingRequest(groupId) {
+    const user = auth.currentUser;
+    if (!user) return false;
+    const requestSnap = await getDoc(joinRequestRef(groupId, user.uid));
+    return requestSnap.exists();
+}
+
+export async function approveJoinRequest(groupId, uid) {
+    try {
+        const profile = await getProfile(uid).catch(() => null);
+        await runTransaction(db, async (transaction) => {
+            const groupRef = doc(db, 'groups', groupId);
+            const requestRef = joinRequestRef(groupId, uid);
+            const groupSnap = await transaction.get(groupRef);
+            const requestSnap = await transaction.get(requestRef);
+
+            if (!groupSnap.exists()) throw new Error('Group not found');
+            if (!requestSnap.exists()) throw new Error('This request was withdrawn');
+
+            const data = groupSnap.data();
+            if ((data.members || []).length >= (data.maxSize || 10)) {
+                throw new Error('Group is full! Increase the max size first.');
+            }
+
+            if ((data.members || []).includes(uid)) {
+                transaction.delete(requestRef);
+                return;
+            }
+
+            transaction.update(groupRef, {
+                members: [...(data.members || []), uid],
+                [`memberNames.${uid}`]: (profile && profile.displayName) || requestSnap.data().name || 'Unknown member',
+                memberCount: (data.members || []).length + 1,
+                lastActivityAt: serverTimestamp()
+            });
+            transaction.delete(requestRef);
+        });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error approving request. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+async function deleteDocs(refs) {
+    for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+        await batch.commit();
+    }
+}
+
+// Firestore doesn't delete subcollections with their parent, so the last member
+// clears them (and every invite to the group) before the group goes.
+async function deleteGroupContents(groupId) {
+    for (const name of GROUP_SUBCOLLECTIONS) {
+        const snapshot = await getDocs(collection(db, 'groups', groupId, name));
+        for (const docSnap of snapshot.docs) {
+            for (const nested of NESTED_SUBCOLLECTIONS[name] || []) {
+                const nestedSnap = await getDocs(collection(docSnap.ref, nested));
+                await deleteDocs(nestedSnap.docs.map(nestedDoc => nestedDoc.ref));
+            }
+        }
+        await deleteDocs(snapshot.docs.map(docSnap => docSnap.ref));
+    }
+
+    const invitesSnap = await getDocs(query(collection(db, 'invites'), where('groupId', '==', groupId)));
+    await deleteDocs(invitesSnap.docs.map(inviteSnap => inviteSnap.ref));
+}
+
+// Removes uid from the group and returns true when that left it empty. The last
+// member out marks the group closing in the transaction, which the rules treat
+// as closed to new members, so nobody can join while its contents are cleared
+// and the group is deleted.
+export async function leaveMembership(groupId, uid) {
+    const groupRef = doc(db, 'groups', groupId);
+    const closing = await runTransaction(db, async (transaction) => {
+        const groupSnap = await transaction.get(groupRef);
+        if (!groupSnap.exists()) throw new Error('Group not found');
+
+        const data = groupSnap.data();
+        const members = data.members || [];
+        if (!members.includes(uid)) throw new Error("You're not in this group");
+
+        const remaining = members.filter(member => member !== uid);
+        if (remaining.length === 0) {
+            transaction.update(groupRef, { closing: true });
+            return true;
+        }
+
+        const updates = {
+            members: remaining,
+            [`memberNames.${uid}`]: deleteField(),
+            memberCount: remaining.length
+        };
+        if (data.createdBy === uid) updates.createdBy = remaining[0];
+        transaction.update(groupRef, updates);
+        return false;
+    });
+    if (!closing) return false;
+
+    await deleteGroupContents(groupId);
+    await deleteDoc(groupRef);
+    return true;
+}
+
+export async function rejectJoinRequest(groupId, uid) {
+    try {
+        await deleteDoc(joinRequestRef(groupId, uid));
+    } catch (err) {
+        const errorMsg = err.code ? 'Error rejecting request. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function createInvite(groupId, groupName, { expiresInDays, maxUses }) {
+    const user = auth.currentUser;
+    if (!user) return null;
+
+    const days = Number(expiresInDays) || 0;
+    const uses = Number(maxUses) || 0;
+    if (!Number.isInteger(days) || days < 0 || days > MAX_INVITE_DAYS) {
+        alert(`Expiry must be between 0 (never) and ${MAX_INVITE_DAYS} days`);
+        return null;
+    }
+    if (!Number.isInteger(uses) || uses < 0 || uses > MAX_INVITE_USES) {
+        alert(`Usage limit must be between 0 (unlimited) and ${MAX_INVITE_USES}`);
+        return null;
+    }
+
+    const code = generateInviteCode();
+    try {
+        await setDoc(doc(db, 'invites', code), {
+            groupId,
+            groupName,
+            createdBy: user.uid,
+            createdAt: serverTimestamp(),
+            expiresAt: days > 0 ? Timestamp.fromMillis(Date.now() + days * 86400000) : null,
+            maxUses: uses,
+            uses: 0
+        });
+        return code;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error creating invite. Please try again.' : err.message;
+        alert(errorMsg);
+        return null;
+    }
+}
+
+export async function revokeInvite(code) {
+    try {
+        await deleteDoc(doc(db, 'invites', code));
+    } catch (err) {
+        const errorMsg = err.code ? 'Error revoking invite. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+function inviteProblem(invite) {
+    if (invite.expiresAt && invite.expiresAt.toMillis() < Date.now()) return 'This invite has expired.';
+    if (invite.maxUses > 0 && invite.uses >= invite.maxUses) return 'This invite has reached its usage limit.';
+    return null;
+}
+
+// Members can always read their group; anyone else gets permission-denied
+// for an invite-only group, which means they aren't in it.
+async function isMemberOf(groupRef, uid) {
+    try {
+        const groupSnap = await getDoc(groupRef);
+        return groupSnap.exists() && (groupSnap.data().members || []).includes(uid);
+    } catch (err) {
+        if (err.code === 'permission-denied') return false;
+        throw err;
+    }
+}
+
+export async function redeemInvite(code, name) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to use an invite');
+        return null;
+    }
+
+    try {
+        const inviteSnap = await getDoc(doc(db, 'invites', code));
+        if (!inviteSnap.exists()) throw new Error('This invite is no longer valid.');
+        const groupRef = doc(db, 'groups', inviteSnap.data().groupId);
+        if (await isMemberOf(groupRef, user.uid)) return inviteSnap.data().groupId;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error joining group. Please try again.' : err.message;
+        alert(errorMsg);
+        return null;
+    }
+
+    // Non-members can't read an invite-only group, so the join is written
+    // without reading it and the rules check the size limit and member count.
+    try {
+        return await runTransaction(db, async (transaction) => {
+            const inviteRef = doc(db, 'invites', code);
+            const inviteSnap = await transaction.get(inviteRef);
+            if (!inviteSnap.exists()) throw new Error('This invite is no longer valid.');
+
+            const invite = inviteSnap.data();
+            const problem = inviteProblem(invite);
+            if (problem) throw new Error(problem);
+
+            transaction.update(doc(db, 'groups', invite.groupId), {
+                members: arrayUnion(user.uid),
+                [`memberNames.${user.uid}`]: name,
+                memberCount: increment(1),
+                lastActivityAt: serverTimestamp()
+            });
+            transaction.set(doc(db, 'groups', invite.groupId, 'joinedVia', user.uid), {
+                code,
+                joinedAt: serverTimestamp()
+            });
+            transaction.update(inviteRef, { uses: increment(1) });
+            transaction.delete(joinRequestRef(invite.groupId, user.uid));
+            return invite.groupId;
+        });
+    } catch (err) {
+        const errorMsg = err.code === 'permission-denied'
+            ? "Couldn't join. The group may be full or no longer exist."
+            : err.code ? 'Error joining group. Please try again.' : err.message;
+        alert(errorMsg);
+        return null;
+    }
+}
+
+export async function showInvite(container, code, name) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'Group Invite';
+    container.appendChild(heading);
+
+    const p = document.createElement('p');
+    container.appendChild(p);
+
+    try {
+        const inviteSnap = await getDoc(doc(db, 'invites', code));
+        if (!inviteSnap.exists()) {
+            p.textContent = 'This invite is no longer valid.';
+            return;
+        }
+
+        const invite = inviteSnap.data();
+        const problem = inviteProblem(invite);
+        if (problem) {
+            p.textContent = problem;
+            return;
+        }
+
+        p.textContent = `You've been invited to join "${invite.groupName}".`;
+        const joinBtn = document.createElement('button');
+        joinBtn.textContent = 'Accept Invite';
+        joinBtn.addEventListener('click', async () => {
+            joinBtn.disabled = true;
+            const groupId = await redeemInvite(code, name);
+            if (groupId) {
+                window.location.href = `groups.html?id=${encodeURIComponent(groupId)}`;
+            } else {
+                joinBtn.disabled = false;
+            }
+        });
+        container.appendChild(joinBtn);
+    } catch (err) {
+        p.textContent = 'Error loading invite. Please try again.';
+    }
+}
+
+function renderJoinRequests(container, groupId) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Pending Join Requests';
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    container.appendChild(list);
+
+    return onSnapshot(collection(db, 'groups', groupId, 'joinRequests'), (snapshot) => {
+        list.innerHTML = '';
+        if (snapshot.empty) {
+            const item = document.createElement('li');
+            item.textContent = 'No pending requests.';
+            list.appendChild(item);
+            return;
+        }
+
+        // The name on a request is from when it was sent, so the requester's
+        // current profile name replaces it once loaded.
+        const labels = new Map();
+        snapshot.forEach(docSnap => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = docSnap.data().name || 'Unknown user';
+            labels.set(docSnap.id, label);
+            item.appendChild(label);
+
+            const approveBtn = document.createElement('button');
+            approveBtn.textContent = 'Approve';
+            approveBtn.addEventListener('click', () => approveJoinRequest(groupId, docSnap.id));
+            item.appendChild(approveBtn);
+
+            const rejectBtn = document.createElement('button');
+            rejectBtn.textContent = 'Reject';
+            rejectBtn.addEventListener('click', () => rejectJoinRequest(groupId, docSnap.id));
+            item.appendChild(rejectBtn);
+
+            list.appendChild(item);
+        });
+
+        getProfiles([...labels.keys()]).then(profiles => {
+            profiles.forEach((profile, uid) => {
+                if (profile) labels.get(uid).textContent = profile.displayName;
+            });
+        }).catch(err => console.error('Failed to load requester profiles:', err));
+    }, err => {
+        list.textContent = 'Error loading join requests. Please try again.';
+    });
+}
+
+function renderInvites(container, groupId, groupName) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Invite Links';
+    container.appendChild(heading);
+
+    const form = document.createElement('div');
+    const expiryInput = document.createElement('input');
+    expiryInput.type = 'number';
+    expiryInput.min = 0;
+    expiryInput.max = MAX_INVITE_DAYS;
+    expiryInput.placeholder = 'Expires in days (0 = never)';
+    const usesInput = document.createElement('input');
+    usesInput.type = 'number';
+    usesInput.min = 0;
+    usesInput.max = MAX_INVITE_USES;
+    usesInput.placeholder = 'Max uses (0 = unlimited)';
+    const createBtn = document.createElement('button');
+    createBtn.textContent = 'Create Invite';
+    createBtn.addEventListener('click', async () => {
+        const code = await createInvite(groupId, groupName, {
+            expiresInDays: expiryInput.value,
+            maxUses: usesInput.value
+        });
+        if (code) {
+            expiryInput.value = '';
+            usesInput.value = '';
+        }
+    });
+    form.appendChild(expiryInput);
+    form.appendChild(usesInput);
+    form.appendChild(createBtn);
+    container.appendChild(form);
+
+    const list = document.createElement('ul');
+    container.appendChild(list);
+
+    const invitesQuery = query(collection(db, 'invites'), where('groupId', '==', groupId), where('createdBy', '==', auth.currentUser.uid));
+    return onSnapshot(invitesQuery, (snapshot) => {
+        list.innerHTML = '';
+        if (snapshot.empty) {
+            const item = document.createElement('li');
+            item.textContent = 'No active invites.';
+            list.appendChild(item);
+            return;
+        }
+
+        snapshot.forEach(docSnap => {
+            const invite = docSnap.data();
+            const item = document.createElement('li');
+            const limits = [
+                `code ${docSnap.id}`,
+                `${invite.uses || 0}${invite.maxUses > 0 ? `/${invite.maxUses}` : ''} uses`,
+                invite.expiresAt ? `expires ${invite.expiresAt.toDate().toLocaleString()}` : 'never expires',
+                inviteProblem(invite) ? 'inactive' : ''
+            ].filter(Boolean);
+            item.textContent = limits.join(' · ');
+
+            const copyBtn = document.createElement('button');
+            copyBtn.textContent = 'Copy Link';
+            copyBtn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(inviteUrl(docSnap.id));
+                    copyBtn.textContent = 'Copied!';
+                } catch {
+                    prompt('Copy this invite link:', inviteUrl(docSnap.id));
+                }
+            });
+            item.appendChild(copyBtn);
+
+            const revokeBtn = document.createElement('button');
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.addEventListener('click', () => revokeInvite(docSnap.id));
+            item.appendChild(revokeBtn);
+
+            list.appendChild(item);
+        });
+    }, err => {
+        list.textContent = 'Error loading invites. Please try again.';
+    });
+}
+
+export function showAccessControls(container, groupId, data) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Access';
+    container.appendChild(heading);
+
+    const requests = document.createElement('div');
+    const invites = document.createElement('div');
+    container.appendChild(requests);
+    container.appendChild(invites);
+
+    const unsubscribes = [
+        renderJoinRequests(requests, groupId),
+        renderInvites(invites, groupId, data.name)
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,376 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    addDoc,
+    deleteDoc,
+    updateDoc,
+    doc,
+    getDocs,
+    arrayUnion,
+    arrayRemove,
+    deleteField,
+    serverTimestamp,
+    Timestamp,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { downloadFile } from './data-transfer.js';
+
+const MAX_TOPIC_LENGTH = 100;
+const MIN_DURATION = 5;
+const MAX_DURATION = 600;
+const MAX_SCHEDULED = 100;
+const HOMEPAGE_LIMIT = 5;
+
+function scheduledCollection(groupId) {
+    return collection(db, 'groups', groupId, 'scheduledSessions');
+}
+
+function upcomingQuery(groupId, max) {
+    return query(
+        scheduledCollection(groupId),
+        where('startAt', '>=', Timestamp.now()),
+        orderBy('startAt'),
+        limit(max)
+    );
+}
+
+export async function scheduleSession(groupId, groupName, { date, time, duration, topic }, creatorName) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to schedule a session');
+        return false;
+    }
+
+    const start = new Date(`${date}T${time}`);
+    if (!date || !time || isNaN(start.getTime())) {
+        alert('Please choose a date and time');
+        return false;
+    }
+    if (start.getTime() < Date.now()) {
+        alert('Sessions must be scheduled in the future');
+        return false;
+    }
+
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes) || minutes < MIN_DURATION || minutes > MAX_DURATION) {
+        alert(`Duration must be a whole number of minutes between ${MIN_DURATION} and ${MAX_DURATION}`);
+        return false;
+    }
+
+    const trimmedTopic = String(topic || '').trim();
+    if (trimmedTopic.length < 1 || trimmedTopic.length > MAX_TOPIC_LENGTH) {
+        alert(`Topics must be between 1 and ${MAX_TOPIC_LENGTH} characters`);
+        return false;
+    }
+
+    try {
+        await addDoc(scheduledCollection(groupId), {
+            topic: trimmedTopic,
+            groupName,
+            startAt: Timestamp.fromDate(start),
+            durationMinutes: minutes,
+            createdBy: user.uid,
+            creatorName,
+            going: [user.uid],
+            goingNames: { [user.uid]: creatorName },
+            createdAt: serverTimestamp()
+        });
+        updateDoc(doc(db, 'groups', groupId), { lastActivityAt: serverTimestamp() })
+            .catch(err => console.error('Failed to update group activity:', err));
+        return true;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error scheduling session. Please try again.' : err.message;
+        alert(errorMsg);
+        return false;
+    }
+}
+
+export async function setRsvp(groupId, sessionId, going, name) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    try {
+        await updateDoc(doc(db, 'groups', groupId, 'scheduledSessions', sessionId), going
+            ? { going: arrayUnion(user.uid), [`goingNames.${user.uid}`]: name }
+            : { going: arrayRemove(user.uid), [`goingNames.${user.uid}`]: deleteField() });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error saving RSVP. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function cancelScheduledSession(groupId, sessionId) {
+    if (!confirm('Cancel this scheduled session for everyone?')) return;
+
+    try {
+        await deleteDoc(doc(db, 'groups', groupId, 'scheduledSessions', sessionId));
+    } catch (err) {
+        const errorMsg = err.code ? 'Error cancelling session. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+function icsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+// RFC 5545 lines must be folded at 75 octets of UTF-8, continuing with a
+// space. Folds fall between characters so multi-byte ones stay whole.
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const max = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > max) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+export function toIcs(sessions) {
+    const now = icsDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Learn Better Together//Group Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    sessions.forEach(session => {
+        const start = session.startAt.toDate();
+        const end = new Date(start.getTime() + session.durationMinutes * 60000);
+        const attendees = Object.values(session.goingNames || {}).join(', ');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${session.id}@learn-better-together`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${icsDate(start)}`,
+            `DTEND:${icsDate(end)}`,
+            `SUMMARY:${icsText(`${session.topic} (${session.groupName || 'Study group'})`)}`,
+            `DESCRIPTION:${icsText(`Scheduled by ${session.creatorName || 'a group member'}. Going: ${attendees || 'nobody yet'}`)}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function icsFilename(text) {
+    const slug = String(text || 'calendar').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'calendar'}.ics`;
+}
+
+export function downloadIcs(sessions, name) {
+    downloadFile(icsFilename(name), toIcs(sessions), 'text/calendar;charset=utf-8');
+}
+
+function formatSessionTime(session) {
+    const start = session.startAt.toDate();
+    return `${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${session.durationMinutes} min`;
+}
+
+function renderScheduleForm(container, groupId, groupName, creatorName) {
+    const form = document.createElement('div');
+
+    const dateInput = document.createElement('input');
+    dateInput.type = 'date';
+    dateInput.min = new Date().toLocaleDateString('en-CA');
+    form.appendChild(dateInput);
+
+    const timeInput = document.createElement('input');
+    timeInput.type = 'time';
+    form.appendChild(timeInput);
+
+    const durationInput = document.createElement('input');
+    durationInput.type = 'number';
+    durationInput.min = MIN_DURATION;
+    durationInput.max = MAX_DURATION;
+    durationInput.value = 60;
+    durationInput.title = 'Duration in minutes';
+    form.appendChild(durationInput);
+
+    const topicInput = document.createElement('input');
+    topicInput.type = 'text';
+    topicInput.maxLength = MAX_TOPIC_LENGTH;
+    topicInput.placeholder = 'Topic';
+    form.appendChild(topicInput);
+
+    const scheduleBtn = document.createElement('button');
+    scheduleBtn.textContent = 'Schedule';
+    scheduleBtn.addEventListener('click', async () => {
+        scheduleBtn.disabled = true;
+        const scheduled = await scheduleSession(groupId, groupName, {
+            date: dateInput.value,
+            time: timeInput.value,
+            duration: durationInput.value,
+            topic: topicInput.value
+        }, creatorName);
+        if (scheduled) topicInput.value = '';
+        scheduleBtn.disabled = false;
+    });
+    form.appendChild(scheduleBtn);
+
+    container.appendChild(form);
+}
+
+export function showGroupCalendar(container, groupId, data, memberName) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Upcoming Sessions';
+    container.appendChild(heading);
+
+    renderScheduleForm(container, groupId, data.name, memberName);
+
+    const list = document.createElement('div');
+    list.style.textAlign = 'left';
+    container.appendChild(list);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Download Calendar (.ics)';
+    exportBtn.disabled = true;
+    container.appendChild(exportBtn);
+
+    let sessions = [];
+    exportBtn.addEventListener('click', () => downloadIcs(sessions, data.name));
+
+    return onSnapshot(upcomingQuery(groupId, MAX_SCHEDULED), (snapshot) => {
+        sessions = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        exportBtn.disabled = sessions.length === 0;
+        list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const p = document.createElement('p');
+            p.textContent = 'Nothing scheduled yet. Plan a session!';
+            list.appendChild(p);
+            return;
+        }
+
+        const currentUser = auth.currentUser;
+        let lastDay = null;
+        sessions.forEach(session => {
+            const day = session.startAt.toDate().toDateString();
+            if (day !== lastDay) {
+                const dayHeading = document.createElement('h4');
+                dayHeading.textContent = day;
+                list.appendChild(dayHeading);
+                lastDay = day;
+            }
+
+            const row = document.createElement('div');
+            row.style.borderBottom = '1px solid #ccc';
+            row.style.padding = '4px';
+
+            const summary = document.createElement('div');
+            summary.textContent = `${formatSessionTime(session)} · ${session.topic}`;
+            row.appendChild(summary);
+
+            const going = Object.values(session.goingNames || {});
+            const attendees = document.createElement('small');
+            attendees.textContent = going.length > 0 ? `Going: ${going.join(', ')}` : 'Nobody going yet';
+            row.appendChild(attendees);
+
+            const actions = document.createElement('div');
+            const isGoing = currentUser && (session.going || []).includes(currentUser.uid);
+            const rsvpBtn = document.createElement('button');
+            rsvpBtn.textContent = isGoing ? "Can't make it" : "I'm going";
+            rsvpBtn.addEventListener('click', () => setRsvp(groupId, session.id, !isGoing, memberName));
+            actions.appendChild(rsvpBtn);
+
+            const icsBtn = document.createElement('button');
+            icsBtn.textContent = 'Add to calendar';
+            icsBtn.addEventListener('click', () => downloadIcs([session], `${data.name} ${session.topic}`));
+            actions.appendChild(icsBtn);
+
+            if (currentUser && (session.createdBy === currentUser.uid || data.createdBy === currentUser.uid)) {
+                const cancelBtn = document.createElement('button');
+                cancelBtn.textContent = 'Cancel';
+                cancelBtn.addEventListener('click', () => cancelScheduledSession(groupId, session.id));
+                actions.appendChild(cancelBtn);
+            }
+
+            row.appendChild(actions);
+            list.appendChild(row);
+        });
+    }, err => {
+        const p = document.createElement('p');
+        p.textContent = 'Error loading scheduled sessions. Please try again.';
+        list.appendChild(p);
+    });
+}
+
+export async function showUpcomingSessions(container) {
+    const user = auth.currentUser;
+    if (!container || !user) return;
+
+    container.innerHTML = '';
+    const heading = document.createElement('h3');
+    heading.textContent = 'Upcoming Group Sessions';
+    container.appendChild(heading);
+
+    try {
+        const groupsSnap = await getDocs(query(collection(db, 'groups'), where('members', 'array-contains', user.uid)));
+        const perGroup = await Promise.all(groupsSnap.docs.map(async groupSnap => {
+            const snapshot = await getDocs(upcomingQuery(groupSnap.id, HOMEPAGE_LIMIT));
+            return snapshot.docs.map(docSnap => ({ id: docSnap.id, groupId: groupSnap.id, ...docSnap.data() }));
+        }));
+
+        const upcoming = perGroup.flat()
+            .sort((a, b) => a.startAt.toMillis() - b.startAt.toMillis())
+            .slice(0, HOMEPAGE_LIMIT);
+
+        if (upcoming.length === 0) {
+            const p = document.createElement('p');
+            p.textContent = 'No sessions scheduled in your groups.';
+            container.appendChild(p);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.style.textAlign = 'left';
+        upcoming.forEach(session => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `groups.html?id=${encodeURIComponent(session.groupId)}`;
+            link.textContent = `${session.startAt.toDate().toDateString()} ${formatSessionTime(session)} · ${session.topic} (${session.groupName || 'Study group'})`;
+            item.appendChild(link);
+            if ((session.going || []).includes(user.uid)) item.appendChild(document.createTextNode(' ✓ going'));
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        const exportBtn = document.createElement('button');
+        exportBtn.textContent = 'Download All (.ics)';
+        exportBtn.addEventListener('click', () => downloadIcs(upcoming, 'upcoming-sessions'));
+        container.appendChild(exportBtn);
+    } catch (err) {
+        const p = document.createElement('p');
+        p.textContent = 'Error loading upcoming sessions.';
+        container.appendChild(p);
+    }
+}
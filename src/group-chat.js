@@ -0,0 +1,174 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    deleteDoc,
+    updateDoc,
+    doc,
+    writeBatch,
+    serverTimestamp,
+    query,
+    orderBy,
+    limitToLast,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+
+const MAX_MESSAGE_LENGTH = 500;
+const MESSAGE_HISTORY = 100;
+// Matches the gap between messages that firestore.rules enforces through
+// chatState/{uid}.lastMessageAt.
+const MIN_MESSAGE_INTERVAL = 2000;
+
+let lastSentAt = 0;
+
+function checkMessageRateLimit() {
+    const now = Date.now();
+    if (now - lastSentAt < MIN_MESSAGE_INTERVAL) return false;
+    lastSentAt = now;
+    return true;
+}
+
+function validateMessage(text) {
+    if (!text || typeof text !== 'string') return false;
+    const trimmed = text.trim();
+    return trimmed.length >= 1 && trimmed.length <= MAX_MESSAGE_LENGTH;
+}
+
+function messagesCollection(groupId) {
+    return collection(db, 'groups', groupId, 'messages');
+}
+
+export async function sendMessage(groupId, text, senderName) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to chat');
+        return false;
+    }
+
+    if (!validateMessage(text)) {
+        alert(`Messages must be between 1 and ${MAX_MESSAGE_LENGTH} characters`);
+        return false;
+    }
+
+    if (!checkMessageRateLimit()) {
+        alert('You are sending messages too quickly. Please wait a moment.');
+        return false;
+    }
+
+    try {
+        const batch = writeBatch(db);
+        batch.set(doc(messagesCollection(groupId)), {
+            text: text.trim(),
+            uid: user.uid,
+            senderName,
+            createdAt: serverTimestamp()
+        });
+        batch.set(doc(db, 'groups', groupId, 'chatState', user.uid), { lastMessageAt: serverTimestamp() });
+        await batch.commit();
+        updateDoc(doc(db, 'groups', groupId), { lastActivityAt: serverTimestamp() })
+            .catch(err => console.error('Failed to update group activity:', err));
+        return true;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error sending message. Please try again.' : err.message;
+        alert(errorMsg);
+        return false;
+    }
+}
+
+export async function deleteMessage(groupId, messageId) {
+    if (!confirm('Delete this message?')) return;
+
+    try {
+        await deleteDoc(doc(db, 'groups', groupId, 'messages', messageId));
+    } catch (err) {
+        const errorMsg = err.code ? 'Error deleting message. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+function formatMessageTime(timestamp) {
+    if (!timestamp) return 'sending...';
+    const date = timestamp.toDate();
+    return date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+}
+
+export function showGroupChat(container, groupId, senderName) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Group Chat';
+    container.appendChild(heading);
+
+    const thread = document.createElement('div');
+    thread.style.maxHeight = '300px';
+    thread.style.overflowY = 'auto';
+    thread.style.textAlign = 'left';
+    thread.style.border = '1px solid #ccc';
+    thread.style.padding = '8px';
+    container.appendChild(thread);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = MAX_MESSAGE_LENGTH;
+    input.placeholder = 'Write a message...';
+    container.appendChild(input);
+
+    const sendBtn = document.createElement('button');
+    sendBtn.textContent = 'Send';
+    container.appendChild(sendBtn);
+
+    const send = async () => {
+        sendBtn.disabled = true;
+        if (await sendMessage(groupId, input.value, senderName)) input.value = '';
+        sendBtn.disabled = false;
+        input.focus();
+    };
+    sendBtn.addEventListener('click', send);
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') send();
+    });
+
+    const messagesQuery = query(messagesCollection(groupId), orderBy('createdAt'), limitToLast(MESSAGE_HISTORY));
+
+    return onSnapshot(messagesQuery, (snapshot) => {
+        const atBottom = thread.scrollHeight - thread.scrollTop - thread.clientHeight < 20;
+        thread.innerHTML = '';
+
+        if (snapshot.empty) {
+            const p = document.createElement('p');
+            p.textContent = 'No messages yet. Say hello!';
+            thread.appendChild(p);
+            return;
+        }
+
+        const currentUser = auth.currentUser;
+        snapshot.forEach(docSnap => {
+            const data = docSnap.data();
+            const row = document.createElement('div');
+
+            const meta = document.createElement('small');
+            meta.textContent = `${data.senderName || 'Unknown member'} · ${formatMessageTime(data.createdAt)}`;
+            row.appendChild(meta);
+
+            if (currentUser && data.uid === currentUser.uid) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.addEventListener('click', () => deleteMessage(groupId, docSnap.id));
+                row.appendChild(deleteBtn);
+            }
+
+            const text = document.createElement('div');
+            text.textContent = data.text;
+            row.appendChild(text);
+
+            thread.appendChild(row);
+        });
+
+        if (atBottom) thread.scrollTop = thread.scrollHeight;
+    }, err => {
+        const p = document.createElement('p');
+        p.textContent = 'Error loading messages. Please try again.';
+        thread.appendChild(p);
+    });
+}
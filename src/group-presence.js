@@ -0,0 +1,110 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    query,
+    where,
+    serverTimestamp,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+
+const HEARTBEAT_INTERVAL = 60000;
+const STALE_AFTER = 5 * 60000;
+
+let heartbeat = null;
+let studyingSince = null;
+
+function presenceRef(groupId, uid) {
+    return doc(db, 'groups', groupId, 'presence', uid);
+}
+
+async function myGroups(uid) {
+    const groupsQuery = query(collection(db, 'groups'), where('members', 'array-contains', uid));
+    const snapshot = await getDocs(groupsQuery);
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() }));
+}
+
+async function writePresence() {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const groups = await myGroups(user.uid);
+    await Promise.all(groups.map(group => {
+        const ref = presenceRef(group.id, user.uid);
+        if (studyingSince === null) return deleteDoc(ref);
+        return setDoc(ref, {
+            name: (group.data.memberNames || {})[user.uid] || 'Unknown member',
+            since: studyingSince,
+            updatedAt: serverTimestamp()
+        });
+    }));
+}
+
+export function updatePresence(running, startTime) {
+    const since = running ? startTime : null;
+    if (since === studyingSince) return;
+    studyingSince = since;
+
+    clearInterval(heartbeat);
+    if (running) {
+        heartbeat = setInterval(() => {
+            writePresence().catch(err => console.error('Failed to update presence:', err));
+        }, HEARTBEAT_INTERVAL);
+    }
+    writePresence().catch(err => console.error('Failed to update presence:', err));
+}
+
+function formatSince(since) {
+    const minutes = Math.max(0, Math.floor((Date.now() - since) / 60000));
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+export function showPresence(container, groupId) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Studying Now';
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    container.appendChild(list);
+
+    let entries = [];
+    const render = () => {
+        list.innerHTML = '';
+        const active = entries.filter(entry =>
+            entry.updatedAt && Date.now() - entry.updatedAt.toMillis() < STALE_AFTER
+        );
+
+        if (active.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'Nobody is studying right now.';
+            list.appendChild(item);
+            return;
+        }
+
+        active.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.name} - studying for ${formatSince(entry.since)}`;
+            list.appendChild(item);
+        });
+    };
+
+    const refresh = setInterval(render, 60000);
+    const unsubscribe = onSnapshot(collection(db, 'groups', groupId, 'presence'), (snapshot) => {
+        entries = snapshot.docs.map(docSnap => docSnap.data());
+        render();
+    }, err => {
+        const p = document.createElement('p');
+        p.textContent = 'Error loading presence. Please try again.';
+        container.appendChild(p);
+    });
+
+    return () => {
+        clearInterval(refresh);
+        unsubscribe();
+    };
+}
@@ -0,0 +1,513 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    updateDoc,
+    writeBatch,
+    serverTimestamp,
+    query,
+    orderBy,
+    limit,
+    onSnapshot,
+    runTransaction
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { listDecks, listCards, createDeck, addCards } from './decks.js';
+import { saveLesson, MAX_LESSON_LENGTH } from './lessons.js';
+import { renderMarkdown } from './markdown.js';
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTE_LENGTH = 200;
+const MAX_PUBLISHED_CARDS = 200;
+const MAX_PUBLICATIONS = 100;
+const KIND_LABELS = { deck: 'Deck', lesson: 'Lesson' };
+
+function publicationsCollection(groupId) {
+    return collection(db, 'groups', groupId, 'publications');
+}
+
+function versionsCollection(groupId, publicationId) {
+    return collection(db, 'groups', groupId, 'publications', publicationId, 'versions');
+}
+
+function cleanText(text, maxLength) {
+    return String(text || '').trim().slice(0, maxLength);
+}
+
+// Decks are published as a plain list of cards; review history stays private.
+async function buildContent(kind, { deckId, markdown }) {
+    if (kind === 'deck') {
+        if (!deckId) throw new Error('Please choose a deck to publish');
+        const cards = await listCards(deckId);
+        if (cards.length === 0) throw new Error('That deck has no cards yet');
+        if (cards.length > MAX_PUBLISHED_CARDS) throw new Error(`Published decks can have at most ${MAX_PUBLISHED_CARDS} cards`);
+        return { cards: cards.map(card => ({ front: card.front, back: card.back })) };
+    }
+
+    const text = String(markdown || '').trim();
+    if (text.length < 1 || text.length > MAX_LESSON_LENGTH) {
+        throw new Error(`Lessons must be between 1 and ${MAX_LESSON_LENGTH} characters`);
+    }
+    return { markdown: text };
+}
+
+function validateDetails(title, description) {
+    const trimmedTitle = cleanText(title, Infinity);
+    if (trimmedTitle.length < 1 || trimmedTitle.length > MAX_TITLE_LENGTH) {
+        throw new Error(`Titles must be between 1 and ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (String(description || '').trim().length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`Descriptions must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    return { title: trimmedTitle, description: cleanText(description, MAX_DESCRIPTION_LENGTH) };
+}
+
+// The publication and its first version snapshot are written together.
+export async function publish(groupId, { kind, title, description, deckId, markdown }, authorName) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to publish');
+        return false;
+    }
+
+    try {
+        const details = validateDetails(title, description);
+        const content = await buildContent(kind, { deckId, markdown });
+
+        const ref = doc(publicationsCollection(groupId));
+        const batch = writeBatch(db);
+        batch.set(ref, {
+            kind,
+            ...details,
+            content,
+            ...(kind === 'deck' ? { sourceDeckId: deckId } : {}),
+            authorId: user.uid,
+            authorName,
+            version: 1,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        batch.set(doc(versionsCollection(groupId, ref.id), '1'), {
+            version: 1,
+            ...details,
+            content,
+            note: 'First version',
+            createdAt: serverTimestamp()
+        });
+        await batch.commit();
+        updateDoc(doc(db, 'groups', groupId), { lastActivityAt: serverTimestamp() })
+            .catch(err => console.error('Failed to update group activity:', err));
+        return true;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error publishing. Please try again.' : err.message;
+        alert(errorMsg);
+        return false;
+    }
+}
+
+// Earlier versions are kept as snapshots so members can compare or copy them.
+export async function publishNewVersion(groupId, publication, { title, description, deckId, markdown }, note) {
+    const user = auth.currentUser;
+    if (!user) return false;
+
+    try {
+        const details = validateDetails(title, description);
+        const content = await buildContent(publication.kind, { deckId, markdown });
+        const ref = doc(publicationsCollection(groupId), publication.id);
+
+        await runTransaction(db, async (transaction) => {
+            const snap = await transaction.get(ref);
+            if (!snap.exists()) throw new Error('This publication was removed');
+            if (snap.data().authorId !== user.uid) throw new Error('Only the author can publish updates');
+
+            const version = (snap.data().version || 1) + 1;
+            transaction.update(ref, {
+                ...details,
+                content,
+                ...(publication.kind === 'deck' ? { sourceDeckId: deckId } : {}),
+                version,
+                updatedAt: serverTimestamp()
+            });
+            transaction.set(doc(versionsCollection(groupId, publication.id), String(version)), {
+                version,
+                ...details,
+                content,
+                note: cleanText(note, MAX_NOTE_LENGTH),
+                createdAt: serverTimestamp()
+            });
+        });
+        return true;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error publishing update. Please try again.' : err.message;
+        alert(errorMsg);
+        return false;
+    }
+}
+
+export async function deletePublication(groupId, publicationId) {
+    if (!confirm('Remove this publication and its history? Copies in members\' libraries are kept.')) return;
+
+    try {
+        const versions = await getDocs(versionsCollection(groupId, publicationId));
+        const batch = writeBatch(db);
+        versions.docs.forEach(docSnap => batch.delete(docSnap.ref));
+        batch.delete(doc(publicationsCollection(groupId), publicationId));
+        await batch.commit();
+    } catch (err) {
+        const errorMsg = err.code ? 'Error removing publication. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+async function loadVersions(groupId, publicationId) {
+    const snapshot = await getDocs(query(versionsCollection(groupId, publicationId), orderBy('version', 'desc')));
+    return snapshot.docs.map(docSnap => docSnap.data());
+}
+
+// Copies become the member's own deck or lesson; the source is remembered
+// so they can tell which version they have.
+export async function copyToLibrary(groupId, groupName, publication, snapshot = publication) {
+    const source = {
+        groupId,
+        groupName: groupName || '',
+        publicationId: publication.id,
+        version: snapshot.version
+    };
+
+    try {
+        if (publication.kind === 'deck') {
+            const deckId = await createDeck(snapshot.title, snapshot.description, source);
+            const added = await addCards(deckId, snapshot.content.cards || []);
+            alert(`Copied "${snapshot.title}" to your flashcards (${added} card${added !== 1 ? 's' : ''}).`);
+        } else {
+            await saveLesson({ title: snapshot.title, markdown: snapshot.content.markdown, source });
+            alert(`Copied "${snapshot.title}" to your lessons.`);
+        }
+    } catch (err) {
+        const errorMsg = err.code ? 'Error copying to your library. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+function renderContent(target, kind, content) {
+    target.innerHTML = '';
+    if (kind === 'deck') {
+        const list = document.createElement('ol');
+        (content.cards || []).forEach(card => {
+            const item = document.createElement('li');
+            item.textContent = `${card.front} → ${card.back}`;
+            list.appendChild(item);
+        });
+        target.appendChild(list);
+    } else {
+        target.appendChild(renderMarkdown(content.markdown || ''));
+    }
+}
+
+function renderPublishForm(container, groupId, authorName) {
+    const form = document.createElement('div');
+    let editing = null;
+
+    const kindSelect = document.createElement('select');
+    Object.entries(KIND_LABELS).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        kindSelect.appendChild(option);
+    });
+    form.appendChild(kindSelect);
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.maxLength = MAX_TITLE_LENGTH;
+    titleInput.placeholder = 'Title';
+    form.appendChild(titleInput);
+
+    const deckSelect = document.createElement('select');
+    form.appendChild(deckSelect);
+
+    const descriptionInput = document.createElement('textarea');
+    descriptionInput.maxLength = MAX_DESCRIPTION_LENGTH;
+    descriptionInput.rows = 2;
+    descriptionInput.placeholder = 'Short description (optional)';
+    form.appendChild(document.createElement('br'));
+    form.appendChild(descriptionInput);
+
+    const markdownInput = document.createElement('textarea');
+    markdownInput.maxLength = MAX_LESSON_LENGTH;
+    markdownInput.rows = 8;
+    markdownInput.cols = 60;
+    markdownInput.placeholder = 'Write your lesson in Markdown: # headings, **bold**, *italic*, `code`, lists and [links](https://...)';
+    form.appendChild(document.createElement('br'));
+    form.appendChild(markdownInput);
+    form.appendChild(document.createElement('br'));
+
+    // An update must come from the deck it was published from; if that deck
+    // is gone the author has to pick one rather than get the first in the list.
+    const loadDeckOptions = async (selectedId, required = false) => {
+        deckSelect.innerHTML = '';
+        try {
+            const decks = await listDecks();
+            if (required && !decks.some(deck => deck.id === selectedId)) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'Original deck not found. Choose a deck';
+                deckSelect.appendChild(option);
+            }
+            if (decks.length === 0) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'No decks yet';
+                deckSelect.appendChild(option);
+                return;
+            }
+            decks.forEach(deck => {
+                const option = document.createElement('option');
+                option.value = deck.id;
+                option.textContent = `${deck.name} (${deck.cardCount || 0} cards)`;
+                deckSelect.appendChild(option);
+            });
+            deckSelect.value = selectedId && decks.some(deck => deck.id === selectedId) ? selectedId : deckSelect.options[0].value;
+        } catch (err) {
+            console.error('Failed to load decks:', err);
+        }
+    };
+
+    const updateKind = () => {
+        const isDeck = kindSelect.value === 'deck';
+        deckSelect.hidden = !isDeck;
+        markdownInput.hidden = isDeck;
+    };
+    kindSelect.addEventListener('change', updateKind);
+
+    const publishBtn = document.createElement('button');
+    publishBtn.textContent = 'Publish';
+    form.appendChild(publishBtn);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel Update';
+    cancelBtn.hidden = true;
+    form.appendChild(cancelBtn);
+
+    const reset = () => {
+        editing = null;
+        kindSelect.disabled = false;
+        titleInput.value = '';
+        descriptionInput.value = '';
+        markdownInput.value = '';
+        publishBtn.textContent = 'Publish';
+        cancelBtn.hidden = true;
+        loadDeckOptions();
+        updateKind();
+    };
+    cancelBtn.addEventListener('click', reset);
+
+    publishBtn.addEventListener('click', async () => {
+        const fields = {
+            title: titleInput.value,
+            description: descriptionInput.value,
+            deckId: deckSelect.value,
+            markdown: markdownInput.value
+        };
+
+        let published;
+        if (editing) {
+            const note = prompt('What changed in this version?', '');
+            if (note === null) return;
+            publishBtn.disabled = true;
+            published = await publishNewVersion(groupId, editing, fields, note);
+        } else {
+            publishBtn.disabled = true;
+            published = await publish(groupId, { kind: kindSelect.value, ...fields }, authorName);
+        }
+        if (published) reset();
+        publishBtn.disabled = false;
+    });
+
+    loadDeckOptions();
+    updateKind();
+    container.appendChild(form);
+
+    // Loads a publication back into the form so its author can publish a new version.
+    return (publication) => {
+        editing = publication;
+        kindSelect.value = publication.kind;
+        kindSelect.disabled = true;
+        titleInput.value = publication.title;
+        descriptionInput.value = publication.description || '';
+        markdownInput.value = publication.kind === 'lesson' ? (publication.content.markdown || '') : '';
+        if (publication.kind === 'deck') loadDeckOptions(publication.sourceDeckId, true);
+        publishBtn.textContent = `Publish Version ${publication.version + 1}`;
+        cancelBtn.hidden = false;
+        updateKind();
+        form.scrollIntoView({ behavior: 'smooth' });
+    };
+}
+
+async function renderHistory(target, groupId, groupName, publication) {
+    target.innerHTML = '';
+    let versions;
+    try {
+        versions = await loadVersions(groupId, publication.id);
+    } catch (err) {
+        target.textContent = 'Error loading history. Please try again.';
+        return;
+    }
+
+    const preview = document.createElement('div');
+    const list = document.createElement('ul');
+    versions.forEach(version => {
+        const item = document.createElement('li');
+        const date = version.createdAt ? version.createdAt.toDate().toLocaleDateString() : 'just now';
+        item.textContent = `v${version.version} · ${date}${version.note ? ` · ${version.note}` : ''} `;
+
+        const viewBtn = document.createElement('button');
+        viewBtn.textContent = 'View';
+        viewBtn.addEventListener('click', () => renderContent(preview, publication.kind, version.content));
+        item.appendChild(viewBtn);
+
+        const copyBtn = document.createElement('button');
+        copyBtn.textContent = 'Copy This Version';
+        copyBtn.addEventListener('click', () => copyToLibrary(groupId, groupName, publication, version));
+        item.appendChild(copyBtn);
+
+        list.appendChild(item);
+    });
+    target.appendChild(list);
+    target.appendChild(preview);
+}
+
+function renderPublication(list, groupId, groupName, publication, { isOwner, onEdit }) {
+    const currentUser = auth.currentUser;
+    const isAuthor = Boolean(currentUser) && publication.authorId === currentUser.uid;
+
+    const item = document.createElement('div');
+    item.style.borderBottom = '1px solid #ccc';
+    item.style.padding = '8px';
+
+    const title = document.createElement('strong');
+    title.textContent = `${KIND_LABELS[publication.kind] || 'Item'}: ${publication.title}`;
+    item.appendChild(title);
+
+    const meta = document.createElement('small');
+    const size = publication.kind === 'deck'
+        ? `${(publication.content.cards || []).length} cards · `
+        : '';
+    meta.textContent = ` ${size}v${publication.version} by ${publication.authorName || 'Unknown member'}`;
+    item.appendChild(meta);
+
+    if (publication.description) {
+        const description = document.createElement('div');
+        description.textContent = publication.description;
+        description.style.whiteSpace = 'pre-wrap';
+        item.appendChild(description);
+    }
+
+    const details = document.createElement('div');
+    details.hidden = true;
+
+    const actions = document.createElement('div');
+    const hideBtn = document.createElement('button');
+    const showDetails = (render) => {
+        details.hidden = false;
+        hideBtn.hidden = false;
+        render();
+    };
+
+    const viewBtn = document.createElement('button');
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => showDetails(() => renderContent(details, publication.kind, publication.content)));
+    actions.appendChild(viewBtn);
+
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Copy to My Library';
+    copyBtn.addEventListener('click', () => copyToLibrary(groupId, groupName, publication));
+    actions.appendChild(copyBtn);
+
+    const historyBtn = document.createElement('button');
+    historyBtn.textContent = 'History';
+    historyBtn.addEventListener('click', () => showDetails(() => renderHistory(details, groupId, groupName, publication)));
+    actions.appendChild(historyBtn);
+
+    if (isAuthor) {
+        const editBtn = document.createElement('button');
+        editBtn.textContent = 'Update';
+        editBtn.addEventListener('click', () => onEdit(publication));
+        actions.appendChild(editBtn);
+    }
+
+    if (isAuthor || isOwner) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => deletePublication(groupId, publication.id));
+        actions.appendChild(removeBtn);
+    }
+
+    hideBtn.textContent = 'Hide';
+    hideBtn.hidden = true;
+    hideBtn.addEventListener('click', () => {
+        details.hidden = true;
+        hideBtn.hidden = true;
+    });
+    actions.appendChild(hideBtn);
+
+    item.appendChild(actions);
+    item.appendChild(details);
+    list.appendChild(item);
+}
+
+export function showPublications(container, groupId, data, authorName) {
+    container.innerHTML = '';
+    const groupName = data.name;
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Shared Decks & Lessons';
+    container.appendChild(heading);
+
+    const onEdit = renderPublishForm(container, groupId, authorName);
+
+    const list = document.createElement('div');
+    list.style.textAlign = 'left';
+    container.appendChild(list);
+
+    let publications = [];
+    let ownerId = null;
+
+    const render = () => {
+        list.innerHTML = '';
+        if (publications.length === 0) {
+            const p = document.createElement('p');
+            p.textContent = 'Nothing published yet. Share a deck or write a lesson for the group!';
+            list.appendChild(p);
+            return;
+        }
+
+        const isOwner = Boolean(auth.currentUser) && ownerId === auth.currentUser.uid;
+        publications.forEach(publication => renderPublication(list, groupId, groupName, publication, { isOwner, onEdit }));
+    };
+
+    const publicationsQuery = query(publicationsCollection(groupId), orderBy('updatedAt', 'desc'), limit(MAX_PUBLICATIONS));
+    const unsubscribePublications = onSnapshot(publicationsQuery, (snapshot) => {
+        publications = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        render();
+    }, err => {
+        list.innerHTML = '';
+        const p = document.createElement('p');
+        p.textContent = 'Error loading publications. Please try again.';
+        list.appendChild(p);
+    });
+
+    // Ownership can be transferred while the list is open.
+    const unsubscribeGroup = onSnapshot(doc(db, 'groups', groupId), (docSnap) => {
+        const createdBy = docSnap.exists() ? docSnap.data().createdBy : null;
+        if (createdBy === ownerId) return;
+        ownerId = createdBy;
+        render();
+    });
+
+    return () => {
+        unsubscribePublications();
+        unsubscribeGroup();
+    };
+}
@@ -0,0 +1,354 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    addDoc,
+    deleteDoc,
+    updateDoc,
+    doc,
+    serverTimestamp,
+    query,
+    orderBy,
+    limit,
+    onSnapshot,
+    runTransaction
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_URL_LENGTH = 500;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_TAGS = 5;
+const MAX_RESOURCES = 200;
+
+function resourcesCollection(groupId) {
+    return collection(db, 'groups', groupId, 'resources');
+}
+
+function parseTags(text) {
+    const tags = String(text || '')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase().slice(0, 30))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+function validateUrl(url) {
+    if (!url || url.length > MAX_URL_LENGTH) return false;
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+    } catch (err) {
+        return false;
+    }
+}
+
+export async function addResource(groupId, { type, title, url, body, tags }, authorName) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to share resources');
+        return false;
+    }
+
+    const trimmedTitle = String(title || '').trim();
+    if (trimmedTitle.length < 1 || trimmedTitle.length > MAX_TITLE_LENGTH) {
+        alert(`Titles must be between 1 and ${MAX_TITLE_LENGTH} characters`);
+        return false;
+    }
+
+    const trimmedUrl = String(url || '').trim();
+    const trimmedBody = String(body || '').trim();
+    if (type === 'link' && !validateUrl(trimmedUrl)) {
+        alert('Please enter a valid http(s) link');
+        return false;
+    }
+    if (type === 'note' && (trimmedBody.length < 1 || trimmedBody.length > MAX_NOTE_LENGTH)) {
+        alert(`Notes must be between 1 and ${MAX_NOTE_LENGTH} characters`);
+        return false;
+    }
+    if (trimmedBody.length > MAX_NOTE_LENGTH) {
+        alert(`Descriptions must be at most ${MAX_NOTE_LENGTH} characters`);
+        return false;
+    }
+
+    try {
+        await addDoc(resourcesCollection(groupId), {
+            type,
+            title: trimmedTitle,
+            url: type === 'link' ? trimmedUrl : '',
+            body: trimmedBody,
+            tags: parseTags(tags),
+            uid: user.uid,
+            authorName,
+            upvotes: [],
+            upvoteCount: 0,
+            pinned: false,
+            createdAt: serverTimestamp()
+        });
+        updateDoc(doc(db, 'groups', groupId), { lastActivityAt: serverTimestamp() })
+            .catch(err => console.error('Failed to update group activity:', err));
+        return true;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error sharing resource. Please try again.' : err.message;
+        alert(errorMsg);
+        return false;
+    }
+}
+
+export async function toggleUpvote(groupId, resourceId) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    try {
+        await runTransaction(db, async (transaction) => {
+            const ref = doc(db, 'groups', groupId, 'resources', resourceId);
+            const snap = await transaction.get(ref);
+            if (!snap.exists()) throw new Error('This resource was removed');
+
+            const upvotes = snap.data().upvotes || [];
+            const updated = upvotes.includes(user.uid)
+                ? upvotes.filter(uid => uid !== user.uid)
+                : [...upvotes, user.uid];
+            transaction.update(ref, { upvotes: updated, upvoteCount: updated.length });
+        });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error saving vote. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function setResourcePinned(groupId, resourceId, pinned) {
+    try {
+        await updateDoc(doc(db, 'groups', groupId, 'resources', resourceId), { pinned });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error updating resource. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function removeResource(groupId, resourceId) {
+    if (!confirm('Remove this resource?')) return;
+
+    try {
+        await deleteDoc(doc(db, 'groups', groupId, 'resources', resourceId));
+    } catch (err) {
+        const errorMsg = err.code ? 'Error removing resource. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+// Pinned items first, then the most upvoted, newest breaking ties.
+function compareResources(a, b) {
+    if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+    if ((b.upvoteCount || 0) !== (a.upvoteCount || 0)) return (b.upvoteCount || 0) - (a.upvoteCount || 0);
+    return (b.createdAt ? b.createdAt.toMillis() : Date.now()) - (a.createdAt ? a.createdAt.toMillis() : Date.now());
+}
+
+function renderResourceForm(container, groupId, authorName) {
+    const form = document.createElement('div');
+
+    const typeSelect = document.createElement('select');
+    [['link', 'Link'], ['note', 'Note']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        typeSelect.appendChild(option);
+    });
+    form.appendChild(typeSelect);
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.maxLength = MAX_TITLE_LENGTH;
+    titleInput.placeholder = 'Title';
+    form.appendChild(titleInput);
+
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.maxLength = MAX_URL_LENGTH;
+    urlInput.placeholder = 'https://...';
+    form.appendChild(urlInput);
+
+    const bodyInput = document.createElement('textarea');
+    bodyInput.maxLength = MAX_NOTE_LENGTH;
+    bodyInput.rows = 3;
+    bodyInput.placeholder = 'Short description (optional)';
+    form.appendChild(document.createElement('br'));
+    form.appendChild(bodyInput);
+    form.appendChild(document.createElement('br'));
+
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.placeholder = 'Tags, comma separated';
+    form.appendChild(tagsInput);
+
+    typeSelect.addEventListener('change', () => {
+        const isLink = typeSelect.value === 'link';
+        urlInput.hidden = !isLink;
+        bodyInput.placeholder = isLink ? 'Short description (optional)' : 'Write your note...';
+    });
+
+    const shareBtn = document.createElement('button');
+    shareBtn.textContent = 'Share';
+    shareBtn.addEventListener('click', async () => {
+        shareBtn.disabled = true;
+        const added = await addResource(groupId, {
+            type: typeSelect.value,
+            title: titleInput.value,
+            url: urlInput.value,
+            body: bodyInput.value,
+            tags: tagsInput.value
+        }, authorName);
+        if (added) {
+            titleInput.value = '';
+            urlInput.value = '';
+            bodyInput.value = '';
+            tagsInput.value = '';
+        }
+        shareBtn.disabled = false;
+    });
+    form.appendChild(shareBtn);
+
+    container.appendChild(form);
+}
+
+function renderResource(list, groupId, resource, { isOwner, onTagClick }) {
+    const currentUser = auth.currentUser;
+    const item = document.createElement('div');
+    item.style.borderBottom = '1px solid #ccc';
+    item.style.padding = '8px';
+
+    const title = document.createElement('strong');
+    if (resource.type === 'link' && validateUrl(resource.url)) {
+        const link = document.createElement('a');
+        link.href = resource.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = resource.title;
+        title.appendChild(link);
+    } else {
+        title.textContent = resource.title;
+    }
+    if (resource.pinned) title.prepend('📌 ');
+    item.appendChild(title);
+
+    if (resource.body) {
+        const body = document.createElement('div');
+        body.textContent = resource.body;
+        body.style.whiteSpace = 'pre-wrap';
+        item.appendChild(body);
+    }
+
+    const meta = document.createElement('small');
+    meta.textContent = `${resource.authorName || 'Unknown member'} `;
+    (resource.tags || []).forEach(tag => {
+        const tagBtn = document.createElement('button');
+        tagBtn.textContent = `#${tag}`;
+        tagBtn.addEventListener('click', () => onTagClick(tag));
+        meta.appendChild(tagBtn);
+    });
+    item.appendChild(meta);
+
+    const actions = document.createElement('div');
+
+    const upvoted = currentUser && (resource.upvotes || []).includes(currentUser.uid);
+    const upvoteBtn = document.createElement('button');
+    upvoteBtn.textContent = `${upvoted ? '▲ Upvoted' : '△ Upvote'} (${resource.upvoteCount || 0})`;
+    upvoteBtn.addEventListener('click', () => toggleUpvote(groupId, resource.id));
+    actions.appendChild(upvoteBtn);
+
+    if (isOwner) {
+        const pinBtn = document.createElement('button');
+        pinBtn.textContent = resource.pinned ? 'Unpin' : 'Pin';
+        pinBtn.addEventListener('click', () => setResourcePinned(groupId, resource.id, !resource.pinned));
+        actions.appendChild(pinBtn);
+    }
+
+    if (isOwner || (currentUser && resource.uid === currentUser.uid)) {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removeResource(groupId, resource.id));
+        actions.appendChild(removeBtn);
+    }
+
+    item.appendChild(actions);
+    list.appendChild(item);
+}
+
+export function showResources(container, groupId, authorName) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Resources';
+    container.appendChild(heading);
+
+    renderResourceForm(container, groupId, authorName);
+
+    const filterInfo = document.createElement('p');
+    filterInfo.hidden = true;
+    container.appendChild(filterInfo);
+
+    const list = document.createElement('div');
+    list.style.textAlign = 'left';
+    container.appendChild(list);
+
+    let resources = [];
+    let ownerId = null;
+    let tagFilter = null;
+
+    const render = () => {
+        list.innerHTML = '';
+
+        filterInfo.hidden = !tagFilter;
+        filterInfo.innerHTML = '';
+        if (tagFilter) {
+            filterInfo.textContent = `Showing #${tagFilter} `;
+            const clearBtn = document.createElement('button');
+            clearBtn.textContent = 'Show all';
+            clearBtn.addEventListener('click', () => {
+                tagFilter = null;
+                render();
+            });
+            filterInfo.appendChild(clearBtn);
+        }
+
+        const visible = resources
+            .filter(resource => !tagFilter || (resource.tags || []).includes(tagFilter))
+            .sort(compareResources);
+
+        if (visible.length === 0) {
+            const p = document.createElement('p');
+            p.textContent = tagFilter ? 'No resources with this tag.' : 'No resources yet. Share something useful!';
+            list.appendChild(p);
+            return;
+        }
+
+        const isOwner = Boolean(auth.currentUser) && ownerId === auth.currentUser.uid;
+        const onTagClick = (tag) => {
+            tagFilter = tag;
+            render();
+        };
+        visible.forEach(resource => renderResource(list, groupId, resource, { isOwner, onTagClick }));
+    };
+
+    const resourcesQuery = query(resourcesCollection(groupId), orderBy('createdAt', 'desc'), limit(MAX_RESOURCES));
+    const unsubscribeResources = onSnapshot(resourcesQuery, (snapshot) => {
+        resources = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        render();
+    }, err => {
+        list.innerHTML = '';
+        const p = document.createElement('p');
+        p.textContent = 'Error loading resources. Please try again.';
+        list.appendChild(p);
+    });
+
+    // Ownership can be transferred while the board is open.
+    const unsubscribeGroup = onSnapshot(doc(db, 'groups', groupId), (docSnap) => {
+        const createdBy = docSnap.exists() ? docSnap.data().createdBy : null;
+        if (createdBy === ownerId) return;
+        ownerId = createdBy;
+        render();
+    });
+
+    return () => {
+        unsubscribeResources();
+        unsubscribeGroup();
+    };
+}
@@ -1,19 +1,77 @@
 import { auth, db } from './firebase-config.js';
+import { requireAuth, signOut } from './auth-guard.js';
 import { 
     collection, 
     addDoc, 
-    getDocs,
     getDoc,
     doc,
     updateDoc,
-    deleteDoc,
-    arrayUnion,
-    arrayRemove,
+    deleteField,
+    getDocs,
     serverTimestamp,
     query,
+    where,
     orderBy,
-    onSnapshot
+    startAfter,
+    limit,
+    onSnapshot,
+    runTransaction
 } from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { showGroupChat } from './group-chat.js';
+import { showResources } from './group-resources.js';
+import { showGroupCalendar } from './group-calendar.js';
+import { showPublications } from './group-publications.js';
+import { loadCurrentProfile, currentDisplayName, getProfiles, createAvatar } from './profile.js';
+import { showLeaderboard, removeFromLeaderboard } from './leaderboard.js';
+import { loadStoredSessions } from './session-store.js';
+import { showPresence } from './group-presence.js';
+import { showSharedSessionPanel } from './shared-session.js';
+import {
+    VISIBILITY_LABELS,
+    groupVisibility,
+    requestToJoin,
+    cancelJoinRequest,
+    leaveMembership,
+    hasPendingRequest,
+    showInvite,
+    showAccessControls
+} from './group-access.js';
+
+const MAX_GROUP_SIZE = 50;
+const MAX_TAGS = 5;
+const PAGE_SIZE = 20;
+
+export const SUBJECT_CATEGORIES = [
+    'Math',
+    'Science',
+    'Languages',
+    'Programming',
+    'History',
+    'Literature',
+    'Arts',
+    'Music',
+    'Business',
+    'Test Prep',
+    'Other'
+];
+
+const SORT_OPTIONS = {
+    newest: { label: 'Newest', field: 'createdAt' },
+    size: { label: 'Most members', field: 'memberCount' },
+    activity: { label: 'Recently active', field: 'lastActivityAt' }
+};
+
+let detailUnsubscribe = null;
+let listUnsubscribe = null;
+
+const listState = {
+    tab: 'discover',
+    search: '',
+    category: '',
+    sort: 'newest',
+    hideFull: false,
+    cursor: null
+};
 
 function validateGroupName(name) {
     if (!name || typeof name !== 'string') return false;
@@ -25,6 +83,26 @@ function sanitizeGroupName(name) {
     return String(name).trim().slice(0, 100);
 }
 
+function sanitizeDescription(description) {
+    return String(description || '').trim().slice(0, 500);
+}
+
+function parseTags(text) {
+    const tags = String(text || '')
+        .split(',')
+        .map(tag => tag.trim().slice(0, 30))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+function memberName() {
+    return currentDisplayName().slice(0, 50);
+}
+
+function groupUrl(groupId) {
+    return `groups.html?id=${encodeURIComponent(groupId)}`;
+}
+
 export async function createGroup() {
     const user = auth.currentUser;
     if (!user) {
@@ -44,9 +122,17 @@ export async function createGroup() {
         const sanitizedName = sanitizeGroupName(name);
         await addDoc(collection(db, 'groups'), {
             name: sanitizedName,
+            nameLower: sanitizedName.toLowerCase(),
             createdBy: user.uid,
             createdAt: serverTimestamp(),
+            lastActivityAt: serverTimestamp(),
+            description: '',
+            category: '',
+            tags: [],
+            visibility: 'public',
             members: [user.uid],
+            memberNames: { [user.uid]: memberName() },
+            memberCount: 1,
             maxSize: 10
         });
         alert('Group created!');
@@ -65,28 +151,34 @@ export async function joinGroup(groupId) {
 
     try {
         const docRef = doc(db, 'groups', groupId);
-        const docSnap = await getDoc(docRef);
-        
-        if (!docSnap.exists()) {
-            alert('Group not found');
-            return;
-        }
+        const visibility = await runTransaction(db, async (transaction) => {
+            const docSnap = await transaction.get(docRef);
+            if (!docSnap.exists()) throw new Error('Group not found');
 
-        const data = docSnap.data();
-        if ((data.members || []).includes(user.uid)) {
-            alert("You're already in this group!");
-            return;
-        }
+            const data = docSnap.data();
+            const members = data.members || [];
+            if (members.includes(user.uid)) throw new Error("You're already in this group!");
+            if (members.length >= (data.maxSize || 10)) throw new Error('Group is full!');
+
+            const visibility = groupVisibility(data);
+            if (visibility !== 'public') return visibility;
+
+            transaction.update(docRef, {
+                members: [...members, user.uid],
+                [`memberNames.${user.uid}`]: memberName(),
+                memberCount: members.length + 1,
+                lastActivityAt: serverTimestamp()
+            });
+            return visibility;
+        });
 
-        if ((data.members || []).length >= (data.maxSize || 10)) {
-            alert('Group is full!');
-            return;
+        if (visibility === 'invite') {
+            alert('This group is invite-only. Ask the owner for an invite link.');
+        } else if (visibility === 'request') {
+            await requestToJoin(groupId, memberName());
+        } else {
+            alert('Joined group!');
         }
-
-        await updateDoc(docRef, {
-            members: arrayUnion(user.uid)
-        });
-        alert('Joined group!');
     } catch (err) {
         const errorMsg = err.code ? 'Error joining group. Please try again.' : err.message;
         alert(errorMsg);
@@ -101,106 +193,754 @@ export async function leaveGroup(groupId) {
     }
 
     try {
-        const docRef = doc(db, 'groups', groupId);
-        const docSnap = await getDoc(docRef);
-        
-        if (!docSnap.exists()) {
-            alert('Group not found');
+        const deleted = await leaveMembership(groupId, user.uid);
+        await removeFromLeaderboard(groupId, user.uid);
+        alert(deleted ? 'Left group! It had no other members, so it was deleted.' : 'Left group!');
+    } catch (err) {
+        const errorMsg = err.code ? 'Error leaving group. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+function createCategorySelect(emptyLabel) {
+    const select = document.createElement('select');
+    [['', emptyLabel], ...SUBJECT_CATEGORIES.map(category => [category, category])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+function isFull(data) {
+    return (data.members || []).length >= (data.maxSize || 10);
+}
+
+function searchTerm() {
+    return listState.search.trim().toLowerCase();
+}
+
+function matchesFilters(data) {
+    if (listState.hideFull && isFull(data)) return false;
+    if (listState.category && data.category !== listState.category) return false;
+    const term = searchTerm();
+    return !term || sanitizeGroupName(data.name).toLowerCase().includes(term);
+}
+
+function sortValue(data) {
+    const value = data[SORT_OPTIONS[listState.sort].field];
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    if (listState.sort === 'size') return (data.members || []).length;
+    return value || 0;
+}
+
+function buildDiscoverQuery() {
+    const constraints = [where('visibility', 'in', ['public', 'request'])];
+    if (listState.category) constraints.push(where('category', '==', listState.category));
+
+    const term = searchTerm();
+    if (term) {
+        constraints.push(where('nameLower', '>=', term), where('nameLower', '<=', `${term}\uf8ff`), orderBy('nameLower'));
+    } else {
+        constraints.push(orderBy(SORT_OPTIONS[listState.sort].field, 'desc'));
+    }
+
+    if (listState.cursor) constraints.push(startAfter(listState.cursor));
+    constraints.push(limit(PAGE_SIZE));
+    return query(collection(db, 'groups'), ...constraints);
+}
+
+function createGroupsTable() {
+    const table = document.createElement('table');
+    table.style.border = '1px solid #ccc';
+    table.style.borderCollapse = 'collapse';
+    table.style.width = '100%';
+
+    const headerRow = table.insertRow();
+    ['Group', 'Members', 'Action'].forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        th.style.border = '1px solid #ccc';
+        th.style.padding = '8px';
+        headerRow.appendChild(th);
+    });
+    return table;
+}
+
+function renderGroupRow(table, docSnap) {
+    const data = docSnap.data();
+    const currentUser = auth.currentUser;
+    const isMember = currentUser && (data.members || []).includes(currentUser.uid);
+    const row = table.insertRow();
+
+    const cell1 = row.insertCell(0);
+    const link = document.createElement('a');
+    link.href = groupUrl(docSnap.id);
+    link.textContent = `${sanitizeGroupName(data.name)} (${(data.members || []).length}/${data.maxSize || 10})`;
+    cell1.appendChild(link);
+    if (data.category) cell1.appendChild(document.createTextNode(` · ${data.category}`));
+    cell1.style.border = '1px solid #ccc';
+    cell1.style.padding = '8px';
+
+    const cell2 = row.insertCell(1);
+    cell2.textContent = `${(data.members || []).length} member${(data.members || []).length !== 1 ? 's' : ''}`;
+    cell2.style.border = '1px solid #ccc';
+    cell2.style.padding = '8px';
+
+    const cell3 = row.insertCell(2);
+    cell3.style.border = '1px solid #ccc';
+    cell3.style.padding = '8px';
+
+    const button = document.createElement('button');
+    
+    if (isMember) {
+        button.textContent = 'Leave';
+        button.addEventListener('click', () => leaveGroup(docSnap.id));
+    } else {
+        button.textContent = groupVisibility(data) === 'request' ? 'Request' : 'Join';
+        button.disabled = isFull(data);
+        button.addEventListener('click', () => joinGroup(docSnap.id));
+    }
+    cell3.appendChild(button);
+}
+
+function showEmptyMessage(results, text) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    results.appendChild(p);
+}
+
+function showMyGroups(results) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const myQuery = query(collection(db, 'groups'), where('members', 'array-contains', user.uid));
+    listUnsubscribe = onSnapshot(myQuery, (snapshot) => {
+        results.innerHTML = '';
+
+        const matching = snapshot.docs
+            .filter(docSnap => matchesFilters(docSnap.data()))
+            .sort((a, b) => sortValue(b.data()) - sortValue(a.data()));
+
+        if (matching.length === 0) {
+            showEmptyMessage(results, snapshot.empty ? "You haven't joined any groups yet." : 'No groups match your filters.');
             return;
         }
 
-        await updateDoc(docRef, {
-            members: arrayRemove(user.uid)
-        });
+        const table = createGroupsTable();
+        matching.forEach(docSnap => renderGroupRow(table, docSnap));
+        results.appendChild(table);
+    }, err => {
+        showEmptyMessage(results, 'Error loading groups. Please try again.');
+    });
+}
 
-        const updated = await getDoc(docRef);
-        const members = updated.exists() ? (updated.data().members || []) : [];
-        if (members.length === 0) {
-            await deleteDoc(docRef);
-        }
+async function loadDiscoverPage(results, table, loadMoreBtn) {
+    loadMoreBtn.disabled = true;
+    try {
+        const snapshot = await getDocs(buildDiscoverQuery());
+        snapshot.docs
+            .filter(docSnap => matchesFilters(docSnap.data()))
+            .forEach(docSnap => renderGroupRow(table, docSnap));
+
+        if (snapshot.docs.length > 0) listState.cursor = snapshot.docs[snapshot.docs.length - 1];
+        loadMoreBtn.hidden = snapshot.docs.length < PAGE_SIZE;
 
-        alert('Left group!');
+        if (table.rows.length <= 1 && loadMoreBtn.hidden) {
+            table.remove();
+            showEmptyMessage(results, listState.cursor ? 'No groups match your filters.' : 'No groups yet. Create one!');
+        }
     } catch (err) {
-        const errorMsg = err.code ? 'Error leaving group. Please try again.' : err.message;
-        alert(errorMsg);
+        showEmptyMessage(results, 'Error loading groups. Please try again.');
+    } finally {
+        loadMoreBtn.disabled = false;
     }
 }
 
+function showDiscover(results, loadMoreBtn) {
+    listState.cursor = null;
+    results.innerHTML = '';
+    const table = createGroupsTable();
+    results.appendChild(table);
+
+    loadMoreBtn.onclick = () => loadDiscoverPage(results, table, loadMoreBtn);
+    loadDiscoverPage(results, table, loadMoreBtn);
+}
+
+function renderListControls(controls, reload) {
+    const tabs = document.createElement('div');
+    [['mine', 'My Groups'], ['discover', 'Discover']].forEach(([tab, label]) => {
+        const tabBtn = document.createElement('button');
+        tabBtn.textContent = label;
+        tabBtn.disabled = listState.tab === tab;
+        tabBtn.addEventListener('click', () => {
+            listState.tab = tab;
+            showGroups();
+        });
+        tabs.appendChild(tabBtn);
+    });
+    controls.appendChild(tabs);
+
+    const filters = document.createElement('div');
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.placeholder = 'Search group names';
+    searchInput.maxLength = 100;
+    searchInput.value = listState.search;
+    let searchTimeout = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            listState.search = searchInput.value;
+            reload();
+        }, 300);
+    });
+    filters.appendChild(searchInput);
+
+    const categorySelect = createCategorySelect('All categories');
+    categorySelect.value = listState.category;
+    categorySelect.addEventListener('change', () => {
+        listState.category = categorySelect.value;
+        reload();
+    });
+    filters.appendChild(categorySelect);
+
+    const sortSelect = document.createElement('select');
+    Object.entries(SORT_OPTIONS).forEach(([value, option]) => {
+        const el = document.createElement('option');
+        el.value = value;
+        el.textContent = option.label;
+        sortSelect.appendChild(el);
+    });
+    sortSelect.value = listState.sort;
+    sortSelect.title = 'Search results are sorted by name';
+    sortSelect.addEventListener('change', () => {
+        listState.sort = sortSelect.value;
+        reload();
+    });
+    filters.appendChild(sortSelect);
+
+    const hideFullLabel = document.createElement('label');
+    const hideFullInput = document.createElement('input');
+    hideFullInput.type = 'checkbox';
+    hideFullInput.checked = listState.hideFull;
+    hideFullInput.addEventListener('change', () => {
+        listState.hideFull = hideFullInput.checked;
+        reload();
+    });
+    hideFullLabel.appendChild(hideFullInput);
+    hideFullLabel.appendChild(document.createTextNode(' Hide full groups'));
+    filters.appendChild(hideFullLabel);
+
+    controls.appendChild(filters);
+}
+
 export function showGroups() {
     const container = document.getElementById('groupsList');
     if (!container) return;
     
     container.innerHTML = '';
+    if (listUnsubscribe) listUnsubscribe();
+    listUnsubscribe = null;
 
     const heading = document.createElement('h2');
-    heading.textContent = 'All Groups';
+    heading.textContent = listState.tab === 'mine' ? 'My Groups' : 'Discover Groups';
     container.appendChild(heading);
 
-    const groupsQuery = query(collection(db, 'groups'), orderBy('createdAt', 'desc'));
-    
-    onSnapshot(groupsQuery, (snapshot) => {
-        container.innerHTML = '';
-        container.appendChild(heading);
+    const controls = document.createElement('div');
+    const results = document.createElement('div');
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.textContent = 'Load More';
+    loadMoreBtn.hidden = true;
+    container.appendChild(controls);
+    container.appendChild(results);
+    container.appendChild(loadMoreBtn);
+
+    const reload = () => {
+        if (listUnsubscribe) listUnsubscribe();
+        listUnsubscribe = null;
+        loadMoreBtn.hidden = true;
+        if (listState.tab === 'mine') {
+            showMyGroups(results);
+        } else {
+            showDiscover(results, loadMoreBtn);
+        }
+    };
 
-        if (snapshot.empty) {
-            const p = document.createElement('p');
-            p.textContent = 'No groups yet. Create one!';
-            container.appendChild(p);
+    renderListControls(controls, reload);
+    reload();
+}
+
+async function requireOwner(groupId) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to manage a group');
+        return null;
+    }
+
+    const docRef = doc(db, 'groups', groupId);
+    const docSnap = await getDoc(docRef);
+    if (!docSnap.exists()) {
+        alert('Group not found');
+        return null;
+    }
+    if (docSnap.data().createdBy !== user.uid) {
+        alert('Only the group owner can do that');
+        return null;
+    }
+    return { docRef, data: docSnap.data() };
+}
+
+export async function updateGroupDetails(groupId, { name, description, category, tags, maxSize, visibility }) {
+    if (!validateGroupName(name)) {
+        alert('Group name must be between 2 and 100 characters');
+        return;
+    }
+
+    if (!VISIBILITY_LABELS[visibility]) {
+        alert('Please choose a valid visibility');
+        return;
+    }
+
+    if (category && !SUBJECT_CATEGORIES.includes(category)) {
+        alert('Please choose a valid category');
+        return;
+    }
+
+    try {
+        const owned = await requireOwner(groupId);
+        if (!owned) return;
+
+        const size = Number(maxSize);
+        const memberCount = (owned.data.members || []).length;
+        if (!Number.isInteger(size) || size < Math.max(2, memberCount) || size > MAX_GROUP_SIZE) {
+            alert(`Max size must be a whole number between ${Math.max(2, memberCount)} and ${MAX_GROUP_SIZE}`);
+            return;
+        }
+
+        await updateDoc(owned.docRef, {
+            name: sanitizeGroupName(name),
+            nameLower: sanitizeGroupName(name).toLowerCase(),
+            description: sanitizeDescription(description),
+            category: category || '',
+            tags: parseTags(tags),
+            visibility,
+            maxSize: size
+        });
+        alert('Group updated!');
+    } catch (err) {
+        const errorMsg = err.code ? 'Error updating group. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function removeMember(groupId, uid) {
+    try {
+        const owned = await requireOwner(groupId);
+        if (!owned) return;
+
+        if (uid === owned.data.createdBy) {
+            alert('The owner cannot be removed. Transfer ownership first.');
             return;
         }
+        if (!confirm(`Remove ${(owned.data.memberNames || {})[uid] || 'this member'} from the group?`)) return;
+
+        await runTransaction(db, async (transaction) => {
+            const docSnap = await transaction.get(owned.docRef);
+            if (!docSnap.exists()) throw new Error('Group not found');
 
-        const table = document.createElement('table');
-        table.style.border = '1px solid #ccc';
-        table.style.borderCollapse = 'collapse';
-        table.style.width = '100%';
+            const members = docSnap.data().members || [];
+            if (!members.includes(uid)) return;
 
-        const headerRow = table.insertRow();
-        ['Group', 'Members', 'Action'].forEach(header => {
-            const th = document.createElement('th');
-            th.textContent = header;
-            th.style.border = '1px solid #ccc';
-            th.style.padding = '8px';
-            headerRow.appendChild(th);
+            const remaining = members.filter(member => member !== uid);
+            transaction.update(owned.docRef, {
+                members: remaining,
+                [`memberNames.${uid}`]: deleteField(),
+                memberCount: remaining.length
+            });
         });
+        await removeFromLeaderboard(groupId, uid);
+    } catch (err) {
+        const errorMsg = err.code ? 'Error removing member. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
 
-        snapshot.forEach(docSnap => {
-            const data = docSnap.data();
-            const row = table.insertRow();
-
-            const cell1 = row.insertCell(0);
-            cell1.textContent = `${sanitizeGroupName(data.name)} (${(data.members || []).length}/${data.maxSize || 10})`;
-            cell1.style.border = '1px solid #ccc';
-            cell1.style.padding = '8px';
-
-            const cell2 = row.insertCell(1);
-            cell2.textContent = `${(data.members || []).length} member${(data.members || []).length !== 1 ? 's' : ''}`;
-            cell2.style.border = '1px solid #ccc';
-            cell2.style.padding = '8px';
-
-            const cell3 = row.insertCell(2);
-            cell3.style.border = '1px solid #ccc';
-            cell3.style.padding = '8px';
-
-            const button = document.createElement('button');
-            const currentUser = auth.currentUser;
-            const isMember = currentUser && (data.members || []).includes(currentUser.uid);
-            
-            if (isMember) {
-                button.textContent = 'Leave';
-                button.addEventListener('click', () => leaveGroup(docSnap.id));
+export async function transferOwnership(groupId, uid) {
+    try {
+        const owned = await requireOwner(groupId);
+        if (!owned) return;
+
+        if (!(owned.data.members || []).includes(uid)) {
+            alert('Ownership can only be transferred to a group member');
+            return;
+        }
+        if (!confirm(`Make ${(owned.data.memberNames || {})[uid] || 'this member'} the group owner? You will lose owner controls.`)) return;
+
+        await updateDoc(owned.docRef, { createdBy: uid });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error transferring ownership. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+function renderOwnerForm(container, groupId, data) {
+    const form = document.createElement('div');
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Owner Controls';
+    form.appendChild(heading);
+
+    const fields = [
+        { label: 'Name', key: 'name', value: data.name || '', maxLength: 100 },
+        { label: 'Description', key: 'description', value: data.description || '', maxLength: 500, multiline: true },
+        { label: 'Subject tags (comma separated)', key: 'tags', value: (data.tags || []).join(', '), maxLength: 200 },
+        { label: 'Max size', key: 'maxSize', value: data.maxSize || 10, type: 'number' }
+    ];
+
+    const inputs = {};
+    fields.forEach(field => {
+        const label = document.createElement('label');
+        label.textContent = `${field.label}: `;
+        const input = document.createElement(field.multiline ? 'textarea' : 'input');
+        if (!field.multiline) input.type = field.type || 'text';
+        if (field.maxLength) input.maxLength = field.maxLength;
+        if (field.type === 'number') {
+            input.min = Math.max(2, (data.members || []).length);
+            input.max = MAX_GROUP_SIZE;
+        }
+        input.value = field.value;
+        inputs[field.key] = input;
+        label.appendChild(input);
+        form.appendChild(label);
+        form.appendChild(document.createElement('br'));
+    });
+
+    const categoryLabel = document.createElement('label');
+    categoryLabel.textContent = 'Category: ';
+    const categorySelect = createCategorySelect('No category');
+    categorySelect.value = data.category || '';
+    categoryLabel.appendChild(categorySelect);
+    form.appendChild(categoryLabel);
+    form.appendChild(document.createElement('br'));
+
+    const visibilityLabel = document.createElement('label');
+    visibilityLabel.textContent = 'Visibility: ';
+    const visibilitySelect = document.createElement('select');
+    Object.entries(VISIBILITY_LABELS).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        visibilitySelect.appendChild(option);
+    });
+    visibilitySelect.value = groupVisibility(data);
+    visibilityLabel.appendChild(visibilitySelect);
+    form.appendChild(visibilityLabel);
+    form.appendChild(document.createElement('br'));
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save Changes';
+    saveBtn.addEventListener('click', () => updateGroupDetails(groupId, {
+        name: inputs.name.value,
+        description: inputs.description.value,
+        category: categorySelect.value,
+        tags: inputs.tags.value,
+        maxSize: inputs.maxSize.value,
+        visibility: visibilitySelect.value
+    }));
+    form.appendChild(saveBtn);
+
+    container.appendChild(form);
+}
+
+function renderMembers(container, groupId, data, isOwner) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Members';
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.style.listStyle = 'none';
+    const names = data.memberNames || {};
+    const currentUser = auth.currentUser;
+    const avatars = new Map();
+
+    (data.members || []).forEach(uid => {
+        const item = document.createElement('li');
+        const avatar = document.createElement('span');
+        avatars.set(uid, avatar);
+        item.appendChild(avatar);
+
+        const label = names[uid] || 'Unknown member';
+        const badges = [
+            uid === data.createdBy ? 'owner' : '',
+            currentUser && uid === currentUser.uid ? 'you' : ''
+        ].filter(Boolean);
+        const link = document.createElement('a');
+        link.href = `profile.html?uid=${encodeURIComponent(uid)}`;
+        link.textContent = badges.length > 0 ? ` ${label} (${badges.join(', ')})` : ` ${label}`;
+        item.appendChild(link);
+
+        if (isOwner && uid !== data.createdBy) {
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => removeMember(groupId, uid));
+            item.appendChild(removeBtn);
+
+            const ownerBtn = document.createElement('button');
+            ownerBtn.textContent = 'Make Owner';
+            ownerBtn.addEventListener('click', () => transferOwnership(groupId, uid));
+            item.appendChild(ownerBtn);
+        }
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+
+    getProfiles(data.members || []).then(profiles => {
+        profiles.forEach((profile, uid) => {
+            if (profile) avatars.get(uid).replaceWith(createAvatar(profile, 24));
+        });
+    }).catch(err => console.error('Failed to load member profiles:', err));
+}
+
+// The rules only accept the name the group has on record for the member.
+function currentMemberName(data) {
+    return (data.memberNames || {})[auth.currentUser.uid] || memberName();
+}
+
+async function backfillGroupFields(groupId, data) {
+    const updates = {};
+    if (!VISIBILITY_LABELS[data.visibility]) updates.visibility = 'public';
+    if (typeof data.nameLower !== 'string') updates.nameLower = sanitizeGroupName(data.name).toLowerCase();
+    if (typeof data.category !== 'string') updates.category = '';
+    if (data.memberCount !== (data.members || []).length) updates.memberCount = (data.members || []).length;
+    if (!data.lastActivityAt) updates.lastActivityAt = data.createdAt || serverTimestamp();
+    if (Object.keys(updates).length === 0) return;
+
+    try {
+        await updateDoc(doc(db, 'groups', groupId), updates);
+    } catch (err) {
+        console.error('Failed to update group fields:', err);
+    }
+}
+
+const detailSections = [
+    { role: 'owner', render: (el, groupId, data) => showAccessControls(el, groupId, data) },
+    { role: 'member', render: (el, groupId) => showPresence(el, groupId) },
+    { role: 'member', render: (el, groupId, data) => showSharedSessionPanel(el, groupId, currentMemberName(data)) },
+    { role: 'member', render: (el, groupId, data) => showLeaderboard(el, groupId, currentMemberName(data), loadStoredSessions) },
+    { role: 'member', render: (el, groupId, data) => showGroupCalendar(el, groupId, data, currentMemberName(data)) },
+    { role: 'member', render: (el, groupId, data) => showResources(el, groupId, currentMemberName(data)) },
+    { role: 'member', render: (el, groupId, data) => showPublications(el, groupId, data, currentMemberName(data)) },
+    { role: 'member', render: (el, groupId, data) => showGroupChat(el, groupId, currentMemberName(data)) }
+];
+
+async function renderJoinAction(button, groupId, data) {
+    const visibility = groupVisibility(data);
+
+    if (visibility === 'invite') {
+        button.textContent = 'Invite Only';
+        button.disabled = true;
+        return;
+    }
+
+    if (visibility === 'request') {
+        button.textContent = 'Request to Join';
+        button.addEventListener('click', async () => {
+            if (await hasPendingRequest(groupId)) {
+                await cancelJoinRequest(groupId);
+                button.textContent = 'Request to Join';
             } else {
-                button.textContent = 'Join';
-                button.addEventListener('click', () => joinGroup(docSnap.id));
+                await joinGroup(groupId);
+                if (await hasPendingRequest(groupId)) button.textContent = 'Cancel Request';
             }
-            cell3.appendChild(button);
         });
+        try {
+            if (await hasPendingRequest(groupId)) button.textContent = 'Cancel Request';
+        } catch (err) {
+            console.error('Failed to check join request:', err);
+        }
+        return;
+    }
+
+    button.textContent = 'Join Group';
+    button.addEventListener('click', () => joinGroup(groupId));
+}
+
+export function showGroupDetail(groupId) {
+    const container = document.getElementById('groupDetail');
+    const listContainer = document.getElementById('groupsList');
+    if (!container) return;
+
+    if (listContainer) listContainer.hidden = true;
+    container.hidden = false;
+    if (detailUnsubscribe) detailUnsubscribe();
+
+    container.innerHTML = '';
+    const info = document.createElement('div');
+    const members = document.createElement('div');
+    const ownerForm = document.createElement('div');
+    const sections = document.createElement('div');
+    container.appendChild(info);
+    container.appendChild(members);
+    container.appendChild(ownerForm);
+    container.appendChild(sections);
+
+    const sectionElements = detailSections.map(() => {
+        const section = document.createElement('div');
+        sections.appendChild(section);
+        return section;
+    });
+    const activeSections = new Map();
+    const syncSections = (data, roles) => {
+        detailSections.forEach((section, i) => {
+            const visible = Boolean(data) && roles[section.role];
+            if (visible && !activeSections.has(i)) {
+                activeSections.set(i, section.render(sectionElements[i], groupId, data));
+            } else if (!visible && activeSections.has(i)) {
+                const unsubscribe = activeSections.get(i);
+                if (unsubscribe) unsubscribe();
+                activeSections.delete(i);
+                sectionElements[i].innerHTML = '';
+            }
+        });
+    };
+    const stopSections = () => syncSections(null, {});
+
+    // Snapshots arrive for every activity bump, so the member list is only
+    // rebuilt when it changes and the owner form only when ownership does,
+    // which keeps unsaved edits in the form.
+    let membersKey = null;
+    let ownerFormShown = false;
+    let backfilled = false;
+    const clearDetail = () => {
+        members.innerHTML = '';
+        ownerForm.innerHTML = '';
+        membersKey = null;
+        ownerFormShown = false;
+    };
+
+    const unsubscribeGroup = onSnapshot(doc(db, 'groups', groupId), (docSnap) => {
+        info.innerHTML = '';
+
+        const backLink = document.createElement('a');
+        backLink.href = 'groups.html';
+        backLink.textContent = '← All groups';
+        info.appendChild(backLink);
+
+        if (!docSnap.exists()) {
+            stopSections();
+            clearDetail();
+            const p = document.createElement('p');
+            p.textContent = 'This group no longer exists.';
+            info.appendChild(p);
+            return;
+        }
+
+        const data = docSnap.data();
+        const currentUser = auth.currentUser;
+        const isMember = currentUser && (data.members || []).includes(currentUser.uid);
+        const isOwner = currentUser && data.createdBy === currentUser.uid;
+
+        const heading = document.createElement('h2');
+        heading.textContent = sanitizeGroupName(data.name);
+        info.appendChild(heading);
+
+        const description = document.createElement('p');
+        description.textContent = data.description || 'No description yet.';
+        info.appendChild(description);
+
+        if (data.category) {
+            const category = document.createElement('p');
+            category.textContent = `Category: ${data.category}`;
+            info.appendChild(category);
+        }
+
+        if ((data.tags || []).length > 0) {
+            const tags = document.createElement('p');
+            tags.textContent = `Subjects: ${data.tags.join(', ')}`;
+            info.appendChild(tags);
+        }
+
+        const size = document.createElement('p');
+        size.textContent = `${(data.members || []).length}/${data.maxSize || 10} members`;
+        info.appendChild(size);
+
+        const visibility = document.createElement('p');
+        visibility.textContent = `Visibility: ${VISIBILITY_LABELS[groupVisibility(data)]}`;
+        info.appendChild(visibility);
 
-        container.appendChild(table);
+        const actionBtn = document.createElement('button');
+        if (isMember) {
+            actionBtn.textContent = 'Leave Group';
+            actionBtn.addEventListener('click', () => leaveGroup(groupId));
+        } else {
+            renderJoinAction(actionBtn, groupId, data);
+        }
+        info.appendChild(actionBtn);
+
+        const nextMembersKey = JSON.stringify([data.members || [], data.memberNames || {}, data.createdBy, isOwner]);
+        if (nextMembersKey !== membersKey) {
+            membersKey = nextMembersKey;
+            members.innerHTML = '';
+            renderMembers(members, groupId, data, isOwner);
+        }
+        if (Boolean(isOwner) !== ownerFormShown) {
+            ownerFormShown = Boolean(isOwner);
+            ownerForm.innerHTML = '';
+            if (isOwner) renderOwnerForm(ownerForm, groupId, data);
+        }
+
+        syncSections(data, { member: isMember, owner: isOwner });
+        if (isOwner && !backfilled) {
+            backfilled = true;
+            backfillGroupFields(groupId, data);
+        }
     }, err => {
+        stopSections();
+        clearDetail();
         const p = document.createElement('p');
-        p.textContent = 'Error loading groups. Please try again.';
-        container.appendChild(p);
+        p.textContent = err.code === 'permission-denied'
+            ? 'This group is invite-only. Ask the owner for an invite link.'
+            : 'Error loading group. Please try again.';
+        info.appendChild(p);
     });
+
+    detailUnsubscribe = () => {
+        unsubscribeGroup();
+        stopSections();
+    };
+}
+
+async function showProfileName() {
+    const username = document.getElementById('username');
+    try {
+        await loadCurrentProfile();
+    } catch (err) {
+        console.error('Failed to load profile:', err);
+    }
+    if (username) username.textContent = currentDisplayName();
+}
+
+function showCurrentView() {
+    const params = new URLSearchParams(window.location.search);
+    const groupId = params.get('id');
+    const inviteCode = params.get('invite');
+    const listContainer = document.getElementById('groupsList');
+    const detailContainer = document.getElementById('groupDetail');
+
+    if (inviteCode && detailContainer) {
+        if (listContainer) listContainer.hidden = true;
+        detailContainer.hidden = false;
+        showInvite(detailContainer, inviteCode, memberName());
+    } else if (groupId) {
+        showGroupDetail(groupId);
+    } else {
+        showGroups();
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -210,28 +950,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const logoutBtn = document.getElementById('logoutBtn');
 
     if (createBtn) createBtn.addEventListener('click', createGroup);
-    if (refreshBtn) refreshBtn.addEventListener('click', showGroups);
+    if (refreshBtn) refreshBtn.addEventListener('click', showCurrentView);
     if (backBtn) backBtn.addEventListener('click', () => window.location.href = 'homepage.html');
-    if (logoutBtn) logoutBtn.addEventListener('click', () => {
-        auth.signOut().then(() => window.location.href = 'index.html');
-    });
+    if (logoutBtn) logoutBtn.addEventListener('click', signOut);
 
-    const user = auth.currentUser;
-    if (!user) {
-        onAuthStateChanged(auth, (u) => {
-            if (!u) {
-                alert('Please login first!');
-                window.location.href = 'index.html';
-            } else {
-                showGroups();
-            }
-        });
-    } else {
-        showGroups();
-    }
+    requireAuth(() => showProfileName().then(showCurrentView), { requireVerified: true });
 });
 
 window.createGroup = createGroup;
 window.joinGroup = joinGroup;
 window.leaveGroup = leaveGroup;
-window.showGroups = showGroups;
\ No newline at end of file
+window.showGroups = showGroups;
+window.showGroupDetail = showGroupDetail;
\ No newline at end of file
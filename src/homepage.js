@@ -1,10 +1,17 @@
 import { initializeFirebase } from './firebase-config.js'
-import { signOut } from './auth.js'
+import { requireAuth, isVerified, signOut } from './auth-guard.js'
+import { showUpcomingSessions } from './group-calendar.js'
+import { loadCurrentProfile } from './profile.js'
+import { countDueCards } from './decks.js'
 
 initializeFirebase();
 
 const groupsBtn = document.getElementById('groupsBtn');
 const stopwatchBtn = document.getElementById('stopwatchBtn');
+const flashcardsBtn = document.getElementById('flashcardsBtn');
+const lessonsBtn = document.getElementById('lessonsBtn');
+const profileBtn = document.getElementById('profileBtn');
+const accountBtn = document.getElementById('accountBtn');
 const logoutBtn = document.getElementById('logoutBtn');
 
 groupsBtn.addEventListener('click', () => {
@@ -15,4 +22,37 @@ stopwatchBtn.addEventListener('click', () => {
     window.location.href = './stopwatch.html';
 });
 
+flashcardsBtn.addEventListener('click', () => {
+    window.location.href = './flashcards.html';
+});
+
+lessonsBtn.addEventListener('click', () => {
+    window.location.href = './lessons.html';
+});
+
+profileBtn.addEventListener('click', () => {
+    window.location.href = './profile.html';
+});
+
+accountBtn.addEventListener('click', () => {
+    window.location.href = './account.html';
+});
+
 logoutBtn.addEventListener('click', signOut);
+
+async function showDueCards() {
+    const dueCards = document.getElementById('dueCards');
+    if (!dueCards) return;
+    try {
+        const due = (await countDueCards()).reduce((sum, deck) => sum + deck.due, 0);
+        dueCards.textContent = due > 0 ? `${due} card${due !== 1 ? 's' : ''} due today` : 'No cards due today';
+    } catch (err) {
+        console.error('Failed to count due cards:', err);
+    }
+}
+
+requireAuth((user) => {
+    loadCurrentProfile().catch(err => console.error('Failed to load profile:', err));
+    showDueCards();
+    if (isVerified(user)) showUpcomingSessions(document.getElementById('upcomingSessions'));
+});
@@ -0,0 +1,188 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    setDoc,
+    deleteDoc,
+    arrayUnion,
+    arrayRemove,
+    serverTimestamp,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { dayKey, dailyTotals, studyDate, studyDayKey, weekStart } from './study-day.js';
+
+const PUBLISH_DELAY = 2000;
+const PERIODS = {
+    today: 'Today',
+    week: 'This Week',
+    allTime: 'All Time'
+};
+
+let publishTimeout = null;
+
+function leaderboardRef(groupId, uid) {
+    return doc(db, 'groups', groupId, 'leaderboard', uid);
+}
+
+export function computeStudyTotals(sessions) {
+    const totals = dailyTotals(sessions);
+    const today = studyDate();
+    const monday = weekStart(today);
+
+    let week = 0;
+    for (let d = new Date(monday); d <= today; d.setDate(d.getDate() + 1)) {
+        week += totals.get(dayKey(d)) || 0;
+    }
+
+    return {
+        today: totals.get(dayKey(today)) || 0,
+        todayKey: dayKey(today),
+        week,
+        weekKey: dayKey(monday),
+        allTime: sessions.reduce((sum, session) => sum + session.duration, 0)
+    };
+}
+
+async function sharedGroups(uid) {
+    const userSnap = await getDoc(doc(db, 'users', uid));
+    return userSnap.exists() ? (userSnap.data().leaderboardGroups || []) : [];
+}
+
+async function publishNow(sessions) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const totals = { ...computeStudyTotals(sessions), updatedAt: serverTimestamp() };
+    const groups = await sharedGroups(user.uid);
+    await Promise.all(groups.map(groupId =>
+        setDoc(leaderboardRef(groupId, user.uid), totals, { merge: true })
+            .catch(err => console.error(`Failed to update leaderboard for ${groupId}:`, err))
+    ));
+}
+
+export function publishStudyTotals(sessions) {
+    clearTimeout(publishTimeout);
+    publishTimeout = setTimeout(() => {
+        publishNow(sessions).catch(err => console.error('Failed to publish study totals:', err));
+    }, PUBLISH_DELAY);
+}
+
+export async function setLeaderboardSharing(groupId, enabled, name, sessions) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to share study time');
+        return;
+    }
+
+    try {
+        const userRef = doc(db, 'users', user.uid);
+        if (enabled) {
+            await setDoc(leaderboardRef(groupId, user.uid), {
+                name,
+                ...computeStudyTotals(sessions),
+                updatedAt: serverTimestamp()
+            });
+            await setDoc(userRef, { leaderboardGroups: arrayUnion(groupId) }, { merge: true });
+        } else {
+            await setDoc(userRef, { leaderboardGroups: arrayRemove(groupId) }, { merge: true });
+            await deleteDoc(leaderboardRef(groupId, user.uid));
+        }
+    } catch (err) {
+        const errorMsg = err.code ? 'Error updating leaderboard sharing. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function removeFromLeaderboard(groupId, uid) {
+    try {
+        await deleteDoc(leaderboardRef(groupId, uid));
+        const user = auth.currentUser;
+        if (user && user.uid === uid) {
+            await setDoc(doc(db, 'users', uid), { leaderboardGroups: arrayRemove(groupId) }, { merge: true });
+        }
+    } catch (err) {
+        console.error('Failed to remove leaderboard entry:', err);
+    }
+}
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function periodValue(entry, period) {
+    if (period === 'today') return entry.todayKey === studyDayKey() ? entry.today || 0 : 0;
+    if (period === 'week') return entry.weekKey === dayKey(weekStart(studyDate())) ? entry.week || 0 : 0;
+    return entry.allTime || 0;
+}
+
+export function showLeaderboard(container, groupId, name, getSessions) {
+    container.innerHTML = '';
+    let period = 'today';
+    let entries = [];
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Leaderboard';
+    container.appendChild(heading);
+
+    const tabs = document.createElement('div');
+    container.appendChild(tabs);
+
+    const table = document.createElement('table');
+    table.style.borderCollapse = 'collapse';
+    table.style.margin = '0 auto';
+    container.appendChild(table);
+
+    const shareBtn = document.createElement('button');
+    container.appendChild(shareBtn);
+
+    const render = () => {
+        tabs.innerHTML = '';
+        Object.entries(PERIODS).forEach(([key, label]) => {
+            const tab = document.createElement('button');
+            tab.textContent = label;
+            tab.disabled = key === period;
+            tab.addEventListener('click', () => {
+                period = key;
+                render();
+            });
+            tabs.appendChild(tab);
+        });
+
+        table.innerHTML = '';
+        const ranked = entries
+            .map(entry => ({ ...entry, value: periodValue(entry, period) }))
+            .sort((a, b) => b.value - a.value);
+
+        if (ranked.length === 0) {
+            const row = table.insertRow();
+            row.insertCell(0).textContent = 'No members are sharing their study time yet.';
+        }
+
+        ranked.forEach((entry, i) => {
+            const row = table.insertRow();
+            [`#${i + 1}`, entry.name || 'Unknown member', formatDuration(entry.value)].forEach((text, column) => {
+                const cell = row.insertCell(column);
+                cell.textContent = text;
+                cell.style.padding = '4px 8px';
+            });
+        });
+
+        const user = auth.currentUser;
+        const sharing = user && entries.some(entry => entry.uid === user.uid);
+        shareBtn.textContent = sharing ? 'Stop sharing my study time' : 'Share my study time';
+        shareBtn.onclick = () => setLeaderboardSharing(groupId, !sharing, name, getSessions());
+    };
+
+    render();
+
+    return onSnapshot(collection(db, 'groups', groupId, 'leaderboard'), (snapshot) => {
+        entries = snapshot.docs.map(docSnap => ({ uid: docSnap.id, ...docSnap.data() }));
+        render();
+    }, err => {
+        const p = document.createElement('p');
+        p.textContent = 'Error loading leaderboard. Please try again.';
+        container.appendChild(p);
+    });
+}
@@ -0,0 +1,73 @@
+import { requireAuth } from './auth-guard.js';
+import { listLessons, deleteLesson } from './lessons.js';
+import { renderMarkdown } from './markdown.js';
+
+function showLesson(lesson) {
+    document.getElementById('lessonsList').hidden = true;
+    document.getElementById('lessonView').hidden = false;
+    document.getElementById('lessonTitle').textContent = lesson.title;
+    document.getElementById('lessonSource').textContent = lesson.source
+        ? `Copied from ${lesson.source.groupName || 'a group'} · version ${lesson.source.version}`
+        : '';
+
+    const content = document.getElementById('lessonContent');
+    content.innerHTML = '';
+    content.style.textAlign = 'left';
+    content.style.maxWidth = '700px';
+    content.appendChild(renderMarkdown(lesson.markdown));
+}
+
+async function renderLessons() {
+    const container = document.getElementById('lessonsList');
+    container.hidden = false;
+    document.getElementById('lessonView').hidden = true;
+    container.innerHTML = '';
+
+    let lessons;
+    try {
+        lessons = await listLessons();
+    } catch (err) {
+        container.textContent = 'Error loading lessons. Please try again.';
+        return;
+    }
+
+    if (lessons.length === 0) {
+        container.textContent = 'No lessons yet. Copy one from a group to read it here.';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.style.listStyle = 'none';
+    lessons.forEach(lesson => {
+        const item = document.createElement('li');
+        item.textContent = `${lesson.title} `;
+
+        const openBtn = document.createElement('button');
+        openBtn.textContent = 'Read';
+        openBtn.addEventListener('click', () => showLesson(lesson));
+        item.appendChild(openBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm(`Delete "${lesson.title}" from your library?`)) return;
+            try {
+                await deleteLesson(lesson.id);
+                renderLessons();
+            } catch (err) {
+                alert(err.code ? 'Error deleting lesson. Please try again.' : err.message);
+            }
+        });
+        item.appendChild(deleteBtn);
+
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('backToLessonsBtn').addEventListener('click', renderLessons);
+    document.getElementById('backHomeBtn').addEventListener('click', () => window.location.href = 'homepage.html');
+
+    requireAuth(renderLessons);
+});
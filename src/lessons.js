@@ -0,0 +1,49 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    addDoc,
+    getDocs,
+    deleteDoc,
+    serverTimestamp,
+    query,
+    orderBy
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+
+export const MAX_LESSON_LENGTH = 20000;
+const MAX_TITLE_LENGTH = 100;
+
+function lessonsCollection(uid) {
+    return collection(db, 'users', uid, 'lessons');
+}
+
+function requireUser() {
+    const user = auth.currentUser;
+    if (!user) throw new Error('You must be logged in to use your library');
+    return user;
+}
+
+export async function listLessons() {
+    const user = requireUser();
+    const snapshot = await getDocs(query(lessonsCollection(user.uid), orderBy('createdAt', 'desc')));
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+export async function saveLesson({ title, markdown, source = null }) {
+    const user = requireUser();
+    const lessonTitle = String(title || '').trim().slice(0, MAX_TITLE_LENGTH);
+    if (!lessonTitle) throw new Error('Lessons need a title');
+
+    const ref = await addDoc(lessonsCollection(user.uid), {
+        title: lessonTitle,
+        markdown: String(markdown || '').slice(0, MAX_LESSON_LENGTH),
+        ...(source ? { source } : {}),
+        createdAt: serverTimestamp()
+    });
+    return ref.id;
+}
+
+export async function deleteLesson(lessonId) {
+    const user = requireUser();
+    await deleteDoc(doc(lessonsCollection(user.uid), lessonId));
+}
@@ -1,8 +1,16 @@
-import { initializeFirebase } from './firebase-config.js'
-import { signUp, signIn, signOut, resetPassword } from './auth.js'
+import { initializeFirebase, auth } from './firebase-config.js'
+import { returnAfterLogin } from './auth-guard.js'
+import { signUp, signIn, signOut, resetPassword, signInWithProvider, handleRedirectResult } from './auth.js'
 
 initializeFirebase();
 
+// Sign-in handlers return to the original page themselves once any pending
+// provider link is done; this only covers arriving here already signed in.
+handleRedirectResult().then(async () => {
+    await auth.authStateReady();
+    if (auth.currentUser) returnAfterLogin();
+});
+
 const waitForElement = (id) => {
     return new Promise((resolve) => {
         const el = document.getElementById(id);
@@ -23,10 +31,14 @@ Promise.all([
     waitForElement('signInBtn'),
     waitForElement('signOutBtn'),
     waitForElement('resetPasswordLink'),
-    waitForElement('homeBtn')
-]).then(([signUpBtn, signInBtn, signOutBtn, resetLink, homeBtn]) => {
+    waitForElement('homeBtn'),
+    waitForElement('githubSignInBtn'),
+    waitForElement('googleSignInBtn')
+]).then(([signUpBtn, signInBtn, signOutBtn, resetLink, homeBtn, githubBtn, googleBtn]) => {
     signUpBtn.addEventListener('click', signUp);
     signInBtn.addEventListener('click', signIn);
+    githubBtn.addEventListener('click', () => signInWithProvider('github.com'));
+    googleBtn.addEventListener('click', () => signInWithProvider('google.com'));
     signOutBtn.addEventListener('click', signOut);
     resetLink.addEventListener('click', (e) => {
         e.preventDefault();
@@ -0,0 +1,119 @@
+// A small Markdown subset rendered straight to DOM nodes. Nothing is ever
+// assigned to innerHTML, so lesson text can't inject markup or scripts.
+
+const INLINE_PATTERN = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*]+\*|\[[^\]]+\]\([^)\s]+\))/;
+
+function safeHref(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function renderInline(text, parent) {
+    text.split(INLINE_PATTERN).filter(Boolean).forEach(part => {
+        let node;
+        if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+            node = document.createElement('code');
+            node.textContent = part.slice(1, -1);
+        } else if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+            node = document.createElement('strong');
+            renderInline(part.slice(2, -2), node);
+        } else if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+            node = document.createElement('em');
+            renderInline(part.slice(1, -1), node);
+        } else if (part.startsWith('[')) {
+            const [, label, url] = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/) || [];
+            const href = url && safeHref(url);
+            if (href) {
+                node = document.createElement('a');
+                node.href = href;
+                node.target = '_blank';
+                node.rel = 'noopener noreferrer';
+                node.textContent = label;
+            } else {
+                node = document.createTextNode(part);
+            }
+        } else {
+            node = document.createTextNode(part);
+        }
+        parent.appendChild(node);
+    });
+}
+
+export function renderMarkdown(markdown) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        const p = document.createElement('p');
+        renderInline(paragraph.join(' '), p);
+        fragment.appendChild(p);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) fragment.appendChild(list);
+        list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('```')) {
+            flushParagraph();
+            flushList();
+            const code = [];
+            for (i += 1; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i]);
+            const pre = document.createElement('pre');
+            const codeEl = document.createElement('code');
+            codeEl.textContent = code.join('\n');
+            pre.appendChild(codeEl);
+            fragment.appendChild(pre);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^>\s?(.*)$/);
+
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const h = document.createElement(`h${Math.min(6, heading[1].length + 2)}`);
+            renderInline(heading[2], h);
+            fragment.appendChild(h);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (!list || list.tagName.toLowerCase() !== tag) {
+                flushList();
+                list = document.createElement(tag);
+            }
+            const item = document.createElement('li');
+            renderInline((bullet || numbered)[1], item);
+            list.appendChild(item);
+        } else if (quote) {
+            flushParagraph();
+            flushList();
+            const blockquote = document.createElement('blockquote');
+            renderInline(quote[1], blockquote);
+            fragment.appendChild(blockquote);
+        } else if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+
+    flushParagraph();
+    flushList();
+    return fragment;
+}
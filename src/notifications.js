@@ -0,0 +1,35 @@
+export function requestNotificationPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    Notification.requestPermission().catch(() => {});
+}
+
+export function playChime() {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+
+    try {
+        const ctx = new AudioCtx();
+        [0, 0.3, 0.6].forEach(offset => {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, ctx.currentTime + offset);
+            gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.25);
+            oscillator.connect(gain).connect(ctx.destination);
+            oscillator.start(ctx.currentTime + offset);
+            oscillator.stop(ctx.currentTime + offset + 0.25);
+        });
+        setTimeout(() => ctx.close(), 1500);
+    } catch (err) {
+        console.error('Failed to play chime:', err);
+    }
+}
+
+export function showNotification(title, body) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        new Notification(title, { body });
+    } catch (err) {
+        console.error('Failed to show notification:', err);
+    }
+}
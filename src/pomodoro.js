@@ -0,0 +1,71 @@
+import { loadData, storeData } from './storage.js';
+import { playChime, showNotification } from './notifications.js';
+
+const SETTINGS_KEY = 'pomodoro_settings';
+
+export const DEFAULT_SETTINGS = {
+    work: 25,
+    shortBreak: 5,
+    longBreak: 15,
+    cyclesBeforeLongBreak: 4
+};
+
+export const PHASE_LABELS = {
+    work: 'Work',
+    shortBreak: 'Short Break',
+    longBreak: 'Long Break'
+};
+
+function validMinutes(value, max) {
+    return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+export function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object') return null;
+    if (!validMinutes(settings.work, 180)) return null;
+    if (!validMinutes(settings.shortBreak, 60)) return null;
+    if (!validMinutes(settings.longBreak, 120)) return null;
+    if (!validMinutes(settings.cyclesBeforeLongBreak, 12)) return null;
+    return settings;
+}
+
+export function loadSettings() {
+    return validateSettings(loadData(SETTINGS_KEY, null)) || { ...DEFAULT_SETTINGS };
+}
+
+export function saveSettings(settings) {
+    if (!validateSettings(settings)) return false;
+    storeData(SETTINGS_KEY, settings);
+    return true;
+}
+
+export function initialState() {
+    return { phase: 'work', cycle: 1 };
+}
+
+export function phaseLength(phase, settings) {
+    return settings[phase] * 60000;
+}
+
+export function nextPhase(state, settings) {
+    if (state.phase === 'work') {
+        const phase = state.cycle % settings.cyclesBeforeLongBreak === 0 ? 'longBreak' : 'shortBreak';
+        return { phase, cycle: state.cycle };
+    }
+    if (state.phase === 'longBreak') return initialState();
+    return { phase: 'work', cycle: state.cycle + 1 };
+}
+
+export function notifyPhaseEnd(finished, next) {
+    const title = `${PHASE_LABELS[finished]} finished`;
+    const body = `Up next: ${PHASE_LABELS[next]}`;
+
+    playChime();
+    showNotification(title, body);
+
+    const timerDisplay = document.getElementById('timer');
+    if (timerDisplay) {
+        timerDisplay.style.color = '#d9534f';
+        setTimeout(() => { timerDisplay.style.color = ''; }, 3000);
+    }
+}
@@ -0,0 +1,104 @@
+import { auth } from './firebase-config.js';
+import { requireAuth } from './auth-guard.js';
+import {
+    getProfile,
+    loadCurrentProfile,
+    saveProfile,
+    resizeAvatar,
+    createAvatar
+} from './profile.js';
+
+let avatarUrl = '';
+
+function renderAvatar(profile) {
+    const container = document.getElementById('profileAvatar');
+    container.innerHTML = '';
+    container.appendChild(createAvatar(profile, 96));
+}
+
+function showOtherProfile(profile) {
+    document.getElementById('profileHeading').textContent = 'Profile';
+    document.getElementById('profileView').hidden = false;
+
+    if (!profile) {
+        document.getElementById('viewDisplayName').textContent = 'Profile not found';
+        return;
+    }
+
+    renderAvatar(profile);
+    document.getElementById('viewDisplayName').textContent = profile.displayName;
+    document.getElementById('viewBio').textContent = profile.bio || 'No bio yet.';
+    document.getElementById('viewSubjects').textContent = (profile.subjects || []).length > 0
+        ? `Studies: ${profile.subjects.join(', ')}`
+        : '';
+}
+
+function showOwnProfile(profile) {
+    const displayNameInput = document.getElementById('displayNameInput');
+    const bioInput = document.getElementById('bioInput');
+    const subjectsInput = document.getElementById('subjectsInput');
+    const avatarInput = document.getElementById('avatarInput');
+
+    document.getElementById('profileForm').hidden = false;
+    avatarUrl = profile ? profile.avatarUrl || '' : '';
+    displayNameInput.value = profile ? profile.displayName : '';
+    bioInput.value = profile ? profile.bio || '' : '';
+    subjectsInput.value = profile ? (profile.subjects || []).join(', ') : '';
+
+    const preview = () => renderAvatar({
+        uid: auth.currentUser.uid,
+        displayName: displayNameInput.value || '?',
+        avatarUrl
+    });
+    preview();
+
+    displayNameInput.addEventListener('input', preview);
+
+    avatarInput.addEventListener('change', async () => {
+        const file = avatarInput.files[0];
+        if (!file) return;
+        try {
+            avatarUrl = await resizeAvatar(file);
+            preview();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            avatarInput.value = '';
+        }
+    });
+
+    document.getElementById('useInitialsBtn').addEventListener('click', () => {
+        avatarUrl = '';
+        preview();
+    });
+
+    const saveBtn = document.getElementById('saveProfileBtn');
+    saveBtn.addEventListener('click', async () => {
+        saveBtn.disabled = true;
+        const saved = await saveProfile({
+            displayName: displayNameInput.value,
+            bio: bioInput.value,
+            subjects: subjectsInput.value,
+            avatarUrl
+        });
+        saveBtn.disabled = false;
+        if (saved) alert('Profile saved!');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('backHomeBtn').addEventListener('click', () => window.location.href = 'homepage.html');
+
+    requireAuth(async (user) => {
+        const uid = new URLSearchParams(window.location.search).get('uid');
+        try {
+            if (uid && uid !== user.uid) {
+                showOtherProfile(await getProfile(uid));
+            } else {
+                showOwnProfile(await loadCurrentProfile());
+            }
+        } catch (err) {
+            alert('Error loading profile. Please try again.');
+        }
+    });
+});
@@ -0,0 +1,276 @@
+import { auth, db } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    updateDoc,
+    serverTimestamp,
+    query,
+    where,
+    runTransaction
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+
+const DISPLAY_NAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const MAX_BIO_LENGTH = 300;
+const MAX_SUBJECTS = 10;
+const AVATAR_SIZE = 128;
+const MAX_AVATAR_LENGTH = 100000;
+const AVATAR_COLORS = ['#4285f4', '#db4437', '#f4b400', '#0f9d58', '#ab47bc', '#00acc1', '#ff7043', '#5c6bc0'];
+
+const profileCache = new Map();
+let currentProfile = null;
+
+function profileRef(uid) {
+    return doc(db, 'profiles', uid);
+}
+
+function displayNameRef(key) {
+    return doc(db, 'displayNames', key);
+}
+
+export function validateDisplayName(name) {
+    return typeof name === 'string' && DISPLAY_NAME_PATTERN.test(name.trim());
+}
+
+export function parseSubjects(text) {
+    const subjects = String(text || '')
+        .split(',')
+        .map(subject => subject.trim().slice(0, 30))
+        .filter(Boolean);
+    return [...new Set(subjects)].slice(0, MAX_SUBJECTS);
+}
+
+export async function getProfile(uid) {
+    if (profileCache.has(uid)) return profileCache.get(uid);
+    const snap = await getDoc(profileRef(uid));
+    const profile = snap.exists() ? { uid, ...snap.data() } : null;
+    profileCache.set(uid, profile);
+    return profile;
+}
+
+export async function getProfiles(uids) {
+    const profiles = await Promise.all(uids.map(uid => getProfile(uid).catch(() => null)));
+    return new Map(uids.map((uid, i) => [uid, profiles[i]]));
+}
+
+export function getCurrentProfile() {
+    return currentProfile;
+}
+
+export function currentDisplayName() {
+    return currentProfile ? currentProfile.displayName : 'New member';
+}
+
+// Claims the lowercased name in displayNames/ and writes the profile in one
+// transaction, so two users can never end up with the same display name.
+async function writeProfile(uid, { displayName, bio, subjects, avatarUrl }) {
+    const name = displayName.trim();
+    const key = name.toLowerCase();
+
+    const profile = await runTransaction(db, async (transaction) => {
+        const nameSnap = await transaction.get(displayNameRef(key));
+        if (nameSnap.exists() && nameSnap.data().uid !== uid) throw new Error('That display name is already taken');
+
+        const profileSnap = await transaction.get(profileRef(uid));
+        const oldKey = profileSnap.exists() ? profileSnap.data().displayNameLower : null;
+        if (oldKey && oldKey !== key) transaction.delete(displayNameRef(oldKey));
+
+        const data = {
+            displayName: name,
+            displayNameLower: key,
+            bio: String(bio || '').trim().slice(0, MAX_BIO_LENGTH),
+            subjects: Array.isArray(subjects) ? subjects.slice(0, MAX_SUBJECTS) : parseSubjects(subjects),
+            avatarUrl: avatarUrl || '',
+            updatedAt: serverTimestamp()
+        };
+        transaction.set(displayNameRef(key), { uid });
+        transaction.set(profileRef(uid), data);
+        return { uid, ...data };
+    });
+
+    profileCache.set(uid, profile);
+    return profile;
+}
+
+// The rules check these copies against memberNames, so they are rewritten
+// after the group's own entry.
+async function syncGroupCopies(groupRef, uid, name) {
+    const presenceRef = doc(groupRef, 'presence', uid);
+    const sharedRef = doc(groupRef, 'sharedSession', 'current');
+    const [presenceSnap, goingSnap, createdSnap, publicationsSnap, sharedSnap] = await Promise.all([
+        getDoc(presenceRef),
+        getDocs(query(collection(groupRef, 'scheduledSessions'), where('going', 'array-contains', uid))),
+        getDocs(query(collection(groupRef, 'scheduledSessions'), where('createdBy', '==', uid))),
+        getDocs(query(collection(groupRef, 'publications'), where('authorId', '==', uid))),
+        getDoc(sharedRef)
+    ]);
+
+    const writes = [];
+    if (presenceSnap.exists()) writes.push(updateDoc(presenceRef, { name }));
+    goingSnap.docs.forEach(sessionSnap => writes.push(updateDoc(sessionSnap.ref, { [`goingNames.${uid}`]: name })));
+    createdSnap.docs.forEach(sessionSnap => writes.push(updateDoc(sessionSnap.ref, { creatorName: name })));
+    publicationsSnap.docs.forEach(publicationSnap => writes.push(updateDoc(publicationSnap.ref, { authorName: name })));
+    if (sharedSnap.exists() && (sharedSnap.data().participants || []).includes(uid)) {
+        writes.push(updateDoc(sharedRef, { [`participantNames.${uid}`]: name }));
+    }
+    await Promise.all(writes);
+}
+
+// Keeps the names copied into groups (members, leaderboards, presence, scheduled
+// sessions, publications) in step with the profile. Join requests show the
+// requester's profile name instead, since they aren't tied to a group yet.
+async function syncMemberNames(uid, name) {
+    const groupsSnap = await getDocs(query(collection(db, 'groups'), where('members', 'array-contains', uid)));
+    await Promise.all(groupsSnap.docs
+        .filter(groupSnap => (groupSnap.data().memberNames || {})[uid] !== name)
+        .map(groupSnap => updateDoc(groupSnap.ref, { [`memberNames.${uid}`]: name })
+            .then(() => syncGroupCopies(groupSnap.ref, uid, name))
+            .catch(err => console.error(`Failed to update name in ${groupSnap.id}:`, err))));
+
+    const userSnap = await getDoc(doc(db, 'users', uid));
+    const leaderboardGroups = userSnap.exists() ? (userSnap.data().leaderboardGroups || []) : [];
+    await Promise.all(leaderboardGroups.map(groupId =>
+        setDoc(doc(db, 'groups', groupId, 'leaderboard', uid), { name, updatedAt: serverTimestamp() }, { merge: true })
+            .catch(err => console.error(`Failed to update leaderboard name in ${groupId}:`, err))));
+}
+
+function defaultDisplayNames(user) {
+    const candidates = [];
+    const fromProvider = String(user.displayName || '').trim().replace(/\s+/g, '_').replace(/[^A-Za-z0-9_.-]/g, '');
+    if (validateDisplayName(fromProvider)) candidates.push(fromProvider);
+    const id = user.uid.toLowerCase();
+    candidates.push(`learner-${id.slice(0, 6)}`, `learner-${id.slice(0, 12)}`, `learner-${id.slice(0, 22)}`);
+    return candidates;
+}
+
+// Every signed-in user gets a profile, so group views never need to fall back to their email.
+export async function loadCurrentProfile() {
+    const user = auth.currentUser;
+    if (!user) return null;
+
+    profileCache.delete(user.uid);
+    let profile = await getProfile(user.uid);
+    if (!profile) {
+        for (const displayName of defaultDisplayNames(user)) {
+            try {
+                profile = await writeProfile(user.uid, { displayName, bio: '', subjects: [], avatarUrl: '' });
+                break;
+            } catch (err) {
+                if (err.code) throw err;
+            }
+        }
+    }
+
+    currentProfile = profile;
+    if (profile) {
+        syncMemberNames(user.uid, profile.displayName)
+            .catch(err => console.error('Failed to sync display name:', err));
+    }
+    return profile;
+}
+
+export async function saveProfile({ displayName, bio, subjects, avatarUrl }) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to edit your profile');
+        return null;
+    }
+
+    if (!validateDisplayName(displayName)) {
+        alert('Display names must be 3-30 letters, numbers, dots, dashes or underscores');
+        return null;
+    }
+    if (String(bio || '').length > MAX_BIO_LENGTH) {
+        alert(`Bio must be at most ${MAX_BIO_LENGTH} characters`);
+        return null;
+    }
+    if (avatarUrl && avatarUrl.length > MAX_AVATAR_LENGTH) {
+        alert('Avatar image is too large');
+        return null;
+    }
+
+    try {
+        currentProfile = await writeProfile(user.uid, { displayName, bio, subjects, avatarUrl });
+        await syncMemberNames(user.uid, currentProfile.displayName);
+        return currentProfile;
+    } catch (err) {
+        const errorMsg = err.code ? 'Error saving profile. Please try again.' : err.message;
+        alert(errorMsg);
+        return null;
+    }
+}
+
+export async function deleteProfile(uid) {
+    const snap = await getDoc(profileRef(uid));
+    if (snap.exists() && snap.data().displayNameLower) {
+        await deleteDoc(displayNameRef(snap.data().displayNameLower));
+    }
+    await deleteDoc(profileRef(uid));
+    profileCache.delete(uid);
+    if (currentProfile && currentProfile.uid === uid) currentProfile = null;
+}
+
+// Center-crops and scales an uploaded image so it fits in the profile document.
+export async function resizeAvatar(file) {
+    if (!file.type.startsWith('image/')) throw new Error('Please choose an image file');
+
+    const bitmap = await createImageBitmap(file);
+    const side = Math.min(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = AVATAR_SIZE;
+    canvas.height = AVATAR_SIZE;
+    canvas.getContext('2d').drawImage(
+        bitmap,
+        (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side,
+        0, 0, AVATAR_SIZE, AVATAR_SIZE
+    );
+    bitmap.close();
+
+    const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+    if (dataUrl.length > MAX_AVATAR_LENGTH) throw new Error('Avatar image is too large');
+    return dataUrl;
+}
+
+export function initials(name) {
+    const parts = String(name || '?').split(/[\s_.-]+/).filter(Boolean);
+    return parts.slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+}
+
+function avatarColor(seed) {
+    let hash = 0;
+    for (const char of String(seed)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+}
+
+export function createAvatar(profile, size = 32) {
+    const name = profile ? profile.displayName : '?';
+
+    if (profile && profile.avatarUrl && profile.avatarUrl.startsWith('data:image/')) {
+        const img = document.createElement('img');
+        img.src = profile.avatarUrl;
+        img.alt = name;
+        img.width = size;
+        img.height = size;
+        img.style.borderRadius = '50%';
+        img.style.verticalAlign = 'middle';
+        return img;
+    }
+
+    const avatar = document.createElement('span');
+    avatar.textContent = initials(name);
+    avatar.title = name;
+    avatar.style.display = 'inline-block';
+    avatar.style.width = `${size}px`;
+    avatar.style.height = `${size}px`;
+    avatar.style.lineHeight = `${size}px`;
+    avatar.style.borderRadius = '50%';
+    avatar.style.textAlign = 'center';
+    avatar.style.fontSize = `${Math.round(size * 0.4)}px`;
+    avatar.style.color = '#fff';
+    avatar.style.backgroundColor = avatarColor(profile ? profile.uid : name);
+    avatar.style.verticalAlign = 'middle';
+    return avatar;
+}
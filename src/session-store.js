@@ -0,0 +1,43 @@
+import { loadData, storeData } from './storage.js';
+
+export const SESSIONS_KEY = 'stopwatch_sessions';
+export const SESSION_TYPES = ['stopwatch', 'pomodoro', 'manual', 'flashcards'];
+
+function validOptionalText(value, maxLength) {
+    return value === undefined || (typeof value === 'string' && value.length <= maxLength);
+}
+
+export function validateSession(session) {
+    if (!session || typeof session !== 'object') return null;
+    if (typeof session.duration !== 'number' || session.duration < 1000) return null;
+    if (typeof session.timestamp !== 'number') return null;
+    if (session.type !== undefined && !SESSION_TYPES.includes(session.type)) return null;
+    if (!validOptionalText(session.subject, 50)) return null;
+    if (!validOptionalText(session.topic, 100)) return null;
+    if (!validOptionalText(session.notes, 1000)) return null;
+    if (!validOptionalText(session.groupId, 128)) return null;
+    return session;
+}
+
+export function loadStoredSessions() {
+    const stored = loadData(SESSIONS_KEY, []);
+    const seen = new Set();
+    return (Array.isArray(stored) ? stored : []).filter(s => {
+        if (!validateSession(s) || seen.has(s.timestamp)) return false;
+        seen.add(s.timestamp);
+        return true;
+    });
+}
+
+// For pages other than the stopwatch that record study time. The timestamp is
+// bumped past any existing session, since it doubles as the session's id.
+export function addStoredSession(session) {
+    const stored = loadStoredSessions();
+    const taken = new Set(stored.map(s => s.timestamp));
+    let timestamp = session.timestamp;
+    while (taken.has(timestamp)) timestamp += 1;
+
+    const saved = { ...session, timestamp };
+    storeData(SESSIONS_KEY, [saved, ...stored].sort((a, b) => b.timestamp - a.timestamp));
+    return saved;
+}
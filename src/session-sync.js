@@ -0,0 +1,190 @@
+import { auth, db } from './firebase-config.js';
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.0/firebase-auth.js";
+import {
+    collection,
+    doc,
+    getDocs,
+    query,
+    orderBy,
+    writeBatch
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { clearLocalData, loadData, storeData } from './storage.js';
+
+const PENDING_KEY = 'stopwatch_pending';
+const MIGRATED_KEY = 'stopwatch_migrated';
+const OWNER_KEY = 'stopwatch_owner';
+const BATCH_LIMIT = 450;
+
+let pending = loadData(PENDING_KEY, []);
+if (!Array.isArray(pending)) pending = [];
+
+let flushing = false;
+let statusListener = null;
+
+function sessionsCollection(uid) {
+    return collection(db, 'users', uid, 'sessions');
+}
+
+function sessionRef(uid, session) {
+    return doc(sessionsCollection(uid), String(session.timestamp));
+}
+
+function notifyStatus() {
+    if (statusListener) statusListener(pending.length);
+}
+
+async function writeEntries(uid, entries) {
+    for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        entries.slice(i, i + BATCH_LIMIT).forEach(entry => {
+            if (entry.deleted) {
+                batch.delete(sessionRef(uid, entry.session));
+            } else {
+                batch.set(sessionRef(uid, entry.session), entry.session);
+            }
+        });
+        await batch.commit();
+    }
+}
+
+function writeSessions(uid, list) {
+    return writeEntries(uid, list.map(session => ({ session })));
+}
+
+export async function flushPending() {
+    const user = auth.currentUser;
+    if (!user || flushing || pending.length === 0 || !navigator.onLine) return;
+
+    flushing = true;
+    const toWrite = pending.filter(entry => entry.uid === user.uid);
+    try {
+        await writeEntries(user.uid, toWrite);
+        pending = pending.filter(entry => !toWrite.includes(entry));
+        storeData(PENDING_KEY, pending);
+    } catch (err) {
+        console.error('Failed to sync sessions:', err);
+    } finally {
+        flushing = false;
+        notifyStatus();
+    }
+}
+
+export function queueSession(session) {
+    queueSessions([session]);
+}
+
+export function queueSessionDeletion(session) {
+    queueSessions([session], true);
+}
+
+export function queueSessions(list, deleted = false) {
+    const user = auth.currentUser;
+    list.forEach(session => pending.push({ uid: user ? user.uid : null, session, deleted }));
+    storeData(PENDING_KEY, pending);
+    notifyStatus();
+    flushPending();
+}
+
+export async function clearSyncedSessions() {
+    pending = [];
+    storeData(PENDING_KEY, pending);
+    notifyStatus();
+
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const snapshot = await getDocs(sessionsCollection(user.uid));
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(i, i + BATCH_LIMIT).forEach(docSnap => batch.delete(docSnap.ref));
+        await batch.commit();
+    }
+}
+
+function loadMigrated() {
+    const migrated = loadData(MIGRATED_KEY, []);
+    return Array.isArray(migrated) ? migrated : [];
+}
+
+// Local history belongs to whoever owns this browser's data. Queued uploads
+// are kept, since each one is tagged with the account it belongs to.
+export function clearLocalHistory() {
+    clearLocalData([PENDING_KEY, MIGRATED_KEY]);
+}
+
+function setPending(list) {
+    pending = list;
+    storeData(PENDING_KEY, pending);
+    notifyStatus();
+}
+
+// Decides whether the history already in localStorage belongs to uid. Data
+// left by another account is cleared; data from before accounts were tracked
+// is only adopted if the user agrees. Returns true when the local sessions
+// still need uploading to uid.
+function claimLocalData(uid, options) {
+    const localSessions = options.getLocalSessions();
+    const owner = loadData(OWNER_KEY, null);
+    if (owner === uid) return !loadMigrated().includes(uid);
+
+    const anonymous = pending.filter(entry => !entry.uid);
+    let adopt = false;
+    if (!owner) {
+        adopt = loadMigrated().includes(uid)
+            || (localSessions.length === 0 && anonymous.length === 0)
+            || confirm(`This browser has ${localSessions.length + anonymous.length} study session(s) that aren't linked to an account. Add them to yours?`);
+    }
+
+    if (adopt) {
+        setPending(pending.map(entry => entry.uid ? entry : { ...entry, uid }));
+    } else {
+        setPending(pending.filter(entry => entry.uid));
+        clearLocalHistory();
+        storeData(MIGRATED_KEY, [...loadMigrated(), uid]);
+        if (options.onLocalCleared) options.onLocalCleared();
+    }
+    storeData(OWNER_KEY, uid);
+    return adopt && !loadMigrated().includes(uid);
+}
+
+async function migrateLocalSessions(uid, localSessions) {
+    if (localSessions.length > 0) {
+        await writeSessions(uid, localSessions);
+    }
+    storeData(MIGRATED_KEY, [...loadMigrated(), uid]);
+}
+
+export async function fetchAllSessions(uid) {
+    const sessionsQuery = query(sessionsCollection(uid), orderBy('timestamp', 'desc'));
+    const snapshot = await getDocs(sessionsQuery);
+    return snapshot.docs.map(docSnap => docSnap.data());
+}
+
+async function syncCurrentUser(options) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const needsMigration = claimLocalData(user.uid, options);
+    if (!navigator.onLine) return;
+
+    try {
+        if (needsMigration) {
+            await migrateLocalSessions(user.uid, options.getLocalSessions());
+        }
+        await flushPending();
+        const remote = await fetchAllSessions(user.uid);
+        options.onRemoteSessions(remote);
+    } catch (err) {
+        console.error('Failed to load sessions:', err);
+    }
+}
+
+export function startSessionSync(options) {
+    statusListener = options.onStatusChange || null;
+    notifyStatus();
+
+    window.addEventListener('online', () => syncCurrentUser(options));
+    onAuthStateChanged(auth, (user) => {
+        if (user) syncCurrentUser(options);
+    });
+}
@@ -0,0 +1,199 @@
+import { auth, db } from './firebase-config.js';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    arrayUnion,
+    serverTimestamp,
+    onSnapshot,
+    runTransaction
+} from "https://www.gstatic.com/firebasejs/10.7.0/firebase-firestore.js";
+import { loadData, storeData } from './storage.js';
+
+const SHARED_KEY = 'stopwatch_shared';
+
+function sharedSessionRef(groupId) {
+    return doc(db, 'groups', groupId, 'sharedSession', 'current');
+}
+
+export function currentElapsed(data) {
+    return data.running ? Date.now() - data.startTime : data.elapsed || 0;
+}
+
+// A session nobody is left in is over, even if it was never ended explicitly.
+export function isSessionOver(data) {
+    return !data || data.ended || (data.participants || []).length === 0;
+}
+
+export function getJoinedSession() {
+    const joined = loadData(SHARED_KEY, null);
+    return joined && typeof joined.groupId === 'string' ? joined : null;
+}
+
+function setJoinedSession(groupId) {
+    if (groupId) {
+        storeData(SHARED_KEY, { groupId });
+    } else {
+        localStorage.removeItem(SHARED_KEY);
+    }
+}
+
+export async function startSharedSession(groupId, name) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to start a shared session');
+        return;
+    }
+
+    try {
+        const existing = await getDoc(sharedSessionRef(groupId));
+        if (existing.exists() && !isSessionOver(existing.data())) {
+            alert('A shared session is already in progress. Join it instead!');
+            return;
+        }
+
+        await setDoc(sharedSessionRef(groupId), {
+            startedBy: user.uid,
+            participants: [user.uid],
+            participantNames: { [user.uid]: name },
+            running: true,
+            startTime: Date.now(),
+            elapsed: 0,
+            ended: false,
+            updatedAt: serverTimestamp()
+        });
+        setJoinedSession(groupId);
+        window.location.href = 'stopwatch.html';
+    } catch (err) {
+        const errorMsg = err.code ? 'Error starting shared session. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function joinSharedSession(groupId, name) {
+    const user = auth.currentUser;
+    if (!user) {
+        alert('You must be logged in to join a shared session');
+        return;
+    }
+
+    try {
+        await updateDoc(sharedSessionRef(groupId), {
+            participants: arrayUnion(user.uid),
+            [`participantNames.${user.uid}`]: name
+        });
+        setJoinedSession(groupId);
+        window.location.href = 'stopwatch.html';
+    } catch (err) {
+        const errorMsg = err.code ? 'Error joining shared session. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function leaveSharedSession(groupId) {
+    const user = auth.currentUser;
+    setJoinedSession(null);
+    if (!user) return;
+
+    try {
+        await runTransaction(db, async (transaction) => {
+            const ref = sharedSessionRef(groupId);
+            const snap = await transaction.get(ref);
+            if (!snap.exists()) return;
+
+            const data = snap.data();
+            const participants = (data.participants || []).filter(uid => uid !== user.uid);
+            const updates = { participants };
+            if (participants.length === 0 && !data.ended) {
+                updates.running = false;
+                updates.elapsed = currentElapsed(data);
+                updates.ended = true;
+                updates.updatedAt = serverTimestamp();
+            }
+            transaction.update(ref, updates);
+        });
+    } catch (err) {
+        console.error('Failed to leave shared session:', err);
+    }
+}
+
+export async function setSharedRunning(groupId, running, elapsed) {
+    try {
+        await updateDoc(sharedSessionRef(groupId), {
+            running,
+            startTime: Date.now() - elapsed,
+            elapsed,
+            updatedAt: serverTimestamp()
+        });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error updating shared session. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export async function endSharedSession(groupId, elapsed) {
+    try {
+        await updateDoc(sharedSessionRef(groupId), {
+            running: false,
+            elapsed,
+            ended: true,
+            updatedAt: serverTimestamp()
+        });
+    } catch (err) {
+        const errorMsg = err.code ? 'Error ending shared session. Please try again.' : err.message;
+        alert(errorMsg);
+    }
+}
+
+export function watchSharedSession(groupId, callback) {
+    return onSnapshot(sharedSessionRef(groupId), (docSnap) => {
+        callback(docSnap.exists() ? docSnap.data() : null);
+    }, err => {
+        console.error('Failed to watch shared session:', err);
+    });
+}
+
+function formatElapsed(ms) {
+    const minutes = Math.floor(ms / 60000);
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+export function showSharedSessionPanel(container, groupId, name) {
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Shared Study Session';
+    container.appendChild(heading);
+
+    const status = document.createElement('p');
+    container.appendChild(status);
+
+    const actionBtn = document.createElement('button');
+    container.appendChild(actionBtn);
+
+    return watchSharedSession(groupId, (data) => {
+        const user = auth.currentUser;
+
+        if (isSessionOver(data)) {
+            status.textContent = 'No shared session in progress.';
+            actionBtn.textContent = 'Start Shared Session';
+            actionBtn.onclick = () => startSharedSession(groupId, name);
+            return;
+        }
+
+        const names = (data.participants || []).map(uid => (data.participantNames || {})[uid] || 'Unknown member');
+        status.textContent = `${data.running ? 'Running' : 'Paused'} for ${formatElapsed(currentElapsed(data))} with ${names.join(', ')}`;
+
+        if (user && (data.participants || []).includes(user.uid)) {
+            actionBtn.textContent = 'Open Stopwatch';
+            actionBtn.onclick = () => {
+                setJoinedSession(groupId);
+                window.location.href = 'stopwatch.html';
+            };
+        } else {
+            actionBtn.textContent = 'Join Shared Session';
+            actionBtn.onclick = () => joinSharedSession(groupId, name);
+        }
+    });
+}
@@ -0,0 +1,72 @@
+import { studyDayStart } from './study-day.js';
+
+export const RATINGS = {
+    again: { label: 'Again', quality: 0 },
+    hard: { label: 'Hard', quality: 3 },
+    good: { label: 'Good', quality: 4 },
+    easy: { label: 'Easy', quality: 5 }
+};
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const HARD_FACTOR = 0.8;
+const EASY_BONUS = 1.3;
+const DAY_MS = 86400000;
+
+export function newCardState(now = Date.now()) {
+    return { ease: DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0, due: new Date(now) };
+}
+
+// SM-2: a failed card starts over and comes back in the same review; a
+// passed card's interval grows by its ease factor, which each answer nudges.
+// Hard and easy additionally shrink or stretch the new interval.
+export function schedule(card, rating, now = Date.now()) {
+    const { quality } = RATINGS[rating];
+    const ease = typeof card.ease === 'number' ? card.ease : DEFAULT_EASE;
+    const interval = typeof card.interval === 'number' ? card.interval : 0;
+    const repetitions = typeof card.repetitions === 'number' ? card.repetitions : 0;
+    const lapses = typeof card.lapses === 'number' ? card.lapses : 0;
+
+    if (quality < 3) {
+        return {
+            ease: Math.max(MIN_EASE, ease - 0.2),
+            interval: 0,
+            repetitions: 0,
+            lapses: lapses + 1,
+            due: new Date(now)
+        };
+    }
+
+    const nextEase = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    let nextInterval;
+    if (repetitions === 0) {
+        nextInterval = 1;
+    } else if (repetitions === 1) {
+        nextInterval = 6;
+    } else {
+        nextInterval = Math.round(interval * nextEase);
+    }
+    if (rating === 'hard') nextInterval = Math.max(1, Math.round(nextInterval * HARD_FACTOR));
+    if (rating === 'easy') nextInterval = Math.round(nextInterval * EASY_BONUS);
+
+    return {
+        ease: Math.round(nextEase * 100) / 100,
+        interval: nextInterval,
+        repetitions: repetitions + 1,
+        lapses,
+        due: new Date(studyDayStart(now).getTime() + nextInterval * DAY_MS)
+    };
+}
+
+// Cards count as due for the whole study day they fall on.
+export function endOfStudyDay(now = Date.now()) {
+    return new Date(studyDayStart(now).getTime() + DAY_MS);
+}
+
+export function describeInterval(days) {
+    if (days <= 0) return 'now';
+    if (days === 1) return '1 day';
+    if (days < 30) return `${days} days`;
+    if (days < 365) return `${Math.round(days / 30)} mo`;
+    return `${Math.round(days / 365 * 10) / 10} yr`;
+}
@@ -0,0 +1,200 @@
+import { dayKey, dailyTotals, studyDate, weekStart } from './study-day.js';
+import { goalHistorySummary } from './goals.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DAY_MS = 86400000;
+const HEATMAP_COLORS = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+export function lastDays(totals, count, today = studyDate()) {
+    const start = addDays(startOfDay(today), -(count - 1));
+    return Array.from({ length: count }, (_, i) => {
+        const date = addDays(start, i);
+        return { date, total: totals.get(dayKey(date)) || 0 };
+    });
+}
+
+export function weeklyTotals(totals, count, today = studyDate()) {
+    const firstWeek = addDays(weekStart(today), -7 * (count - 1));
+    return Array.from({ length: count }, (_, i) => {
+        const weekStart = addDays(firstWeek, i * 7);
+        const total = Array.from({ length: 7 }, (_, d) => totals.get(dayKey(addDays(weekStart, d))) || 0)
+            .reduce((sum, value) => sum + value, 0);
+        return { date: weekStart, total };
+    });
+}
+
+export function computeStreaks(totals, today = studyDate()) {
+    let current = 0;
+    let day = startOfDay(today);
+    if (!totals.get(dayKey(day))) day = addDays(day, -1);
+    while (totals.get(dayKey(day))) {
+        current += 1;
+        day = addDays(day, -1);
+    }
+
+    const studiedDays = [...totals.keys()].filter(key => totals.get(key) > 0).sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    studiedDays.forEach(key => {
+        const [year, month, date] = key.split('-').map(Number);
+        const time = new Date(year, month - 1, date).getTime();
+        run = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    });
+
+    return { current, longest };
+}
+
+function formatMinutes(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function svgElement(tag, attributes) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+function renderBarChart(container, bars, labelFor) {
+    const barWidth = 16;
+    const gap = 4;
+    const chartHeight = 120;
+    const labelHeight = 16;
+    const max = Math.max(...bars.map(bar => bar.total), 1);
+
+    const svg = svgElement('svg', {
+        width: bars.length * (barWidth + gap),
+        height: chartHeight + labelHeight,
+        role: 'img'
+    });
+
+    bars.forEach((bar, i) => {
+        const height = Math.round((bar.total / max) * chartHeight);
+        const rect = svgElement('rect', {
+            x: i * (barWidth + gap),
+            y: chartHeight - height,
+            width: barWidth,
+            height: Math.max(height, 1),
+            fill: bar.total > 0 ? '#4285f4' : '#ccc'
+        });
+        const title = svgElement('title', {});
+        title.textContent = `${bar.date.toLocaleDateString()}: ${formatMinutes(bar.total)}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+
+        const label = labelFor(bar, i);
+        if (label) {
+            const text = svgElement('text', {
+                x: i * (barWidth + gap),
+                y: chartHeight + labelHeight - 2,
+                'font-size': 10,
+                fill: 'currentColor'
+            });
+            text.textContent = label;
+            svg.appendChild(text);
+        }
+    });
+
+    container.appendChild(svg);
+}
+
+function heatmapLevel(total) {
+    if (total <= 0) return 0;
+    if (total < 30 * 60000) return 1;
+    if (total < 60 * 60000) return 2;
+    if (total < 120 * 60000) return 3;
+    return 4;
+}
+
+function renderHeatmap(container, totals, today = studyDate()) {
+    const cell = 11;
+    const gap = 2;
+    const weeks = 53;
+    const firstDay = addDays(weekStart(today), -7 * (weeks - 1));
+    const svg = svgElement('svg', {
+        width: weeks * (cell + gap),
+        height: 7 * (cell + gap),
+        role: 'img'
+    });
+
+    for (let week = 0; week < weeks; week++) {
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const date = addDays(firstDay, week * 7 + weekday);
+            if (date > today) continue;
+
+            const total = totals.get(dayKey(date)) || 0;
+            const rect = svgElement('rect', {
+                x: week * (cell + gap),
+                y: weekday * (cell + gap),
+                width: cell,
+                height: cell,
+                rx: 2,
+                fill: HEATMAP_COLORS[heatmapLevel(total)]
+            });
+            const title = svgElement('title', {});
+            title.textContent = `${date.toLocaleDateString()}: ${formatMinutes(total)}`;
+            rect.appendChild(title);
+            svg.appendChild(rect);
+        }
+    }
+
+    container.appendChild(svg);
+}
+
+function addHeading(container, text) {
+    const heading = document.createElement('h4');
+    heading.textContent = text;
+    container.appendChild(heading);
+}
+
+export function renderStats(sessions) {
+    const container = document.getElementById('stats');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const totals = dailyTotals(sessions);
+    const streaks = computeStreaks(totals);
+    const totalTime = sessions.reduce((sum, session) => sum + session.duration, 0);
+    const average = sessions.length > 0 ? totalTime / sessions.length : 0;
+
+    const summary = document.createElement('p');
+    summary.textContent = `Current streak: ${streaks.current} day${streaks.current !== 1 ? 's' : ''} | ` +
+        `Longest streak: ${streaks.longest} day${streaks.longest !== 1 ? 's' : ''} | ` +
+        `Average session: ${formatMinutes(average)}`;
+    container.appendChild(summary);
+
+    const goalSummary = goalHistorySummary(totals);
+    if (goalSummary.daysTracked > 0 || goalSummary.weeksTracked > 0) {
+        const goalsLine = document.createElement('p');
+        goalsLine.textContent = `Daily goal met on ${goalSummary.daysMet} of ${goalSummary.daysTracked} day${goalSummary.daysTracked !== 1 ? 's' : ''} | ` +
+            `Weekly goal met in ${goalSummary.weeksMet} of ${goalSummary.weeksTracked} week${goalSummary.weeksTracked !== 1 ? 's' : ''}`;
+        container.appendChild(goalsLine);
+    }
+
+    addHeading(container, 'Last 30 Days');
+    renderBarChart(container, lastDays(totals, 30), (bar, i) => i % 7 === 0 ? `${bar.date.getMonth() + 1}/${bar.date.getDate()}` : '');
+
+    addHeading(container, 'Weekly Totals');
+    const weeks = weeklyTotals(totals, 12);
+    renderBarChart(container, weeks, (bar, i) => i % 3 === 0 ? `${bar.date.getMonth() + 1}/${bar.date.getDate()}` : '');
+
+    addHeading(container, 'Past Year');
+    renderHeatmap(container, totals);
+}
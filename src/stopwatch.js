@@ -1,85 +1,368 @@
-const TODAY_KEY = 'stopwatch_today';
-const ALL_TIME_KEY = 'stopwatch_alltime';
-const SESSIONS_KEY = 'stopwatch_sessions';
+import { auth } from './firebase-config.js';
+import { requireAuth } from './auth-guard.js';
+import { encryptData, loadData, storeData } from './storage.js';
+import { SESSIONS_KEY, SESSION_TYPES, validateSession, loadStoredSessions } from './session-store.js';
+import { queueSession, queueSessions, queueSessionDeletion, clearSyncedSessions, startSessionSync } from './session-sync.js';
+import {
+    PHASE_LABELS,
+    loadSettings as loadPomodoroSettings,
+    saveSettings as savePomodoroSettings,
+    initialState as initialPomodoroState,
+    phaseLength,
+    nextPhase,
+    notifyPhaseEnd
+} from './pomodoro.js';
+import { requestNotificationPermission } from './notifications.js';
+import { renderStats } from './stats.js';
+import { getDayBoundary, setDayBoundary, studyDayKey, splitByStudyDay, dailyTotals, onStudyDayChange } from './study-day.js';
+import { getGoals, setGoals, goalProgress, checkGoals } from './goals.js';
+import { toCsv, toJson, readImportFile, downloadFile } from './data-transfer.js';
+import { publishStudyTotals } from './leaderboard.js';
+import { updatePresence } from './group-presence.js';
+import {
+    currentElapsed,
+    getJoinedSession,
+    leaveSharedSession,
+    setSharedRunning,
+    endSharedSession,
+    watchSharedSession
+} from './shared-session.js';
 
-function encryptData(data) {
-    return btoa(JSON.stringify(data));
-}
-
-function decryptData(encoded) {
-    try {
-        return JSON.parse(atob(encoded));
-    } catch {
-        return null;
-    }
-}
-
-function validateStoredData(data) {
-    if (!data || typeof data !== 'object') return null;
-    if (typeof data.total !== 'number' || data.total < 0) return null;
-    if (typeof data.sessions !== 'number' || data.sessions < 0) return null;
-    return data;
-}
+const LEGACY_KEYS = ['stopwatch_today', 'stopwatch_alltime', 'stopwatch_lastdate', 'stopwatch_mode'];
+const TIMER_KEY = 'stopwatch_timer';
+const PHASE_END_KEY = 'stopwatch_phase_end';
+const SUBJECTS_KEY = 'stopwatch_subjects';
+const HISTORY_PAGE_SIZE = 10;
 
-function validateSession(session) {
-    if (!session || typeof session !== 'object') return null;
-    if (typeof session.duration !== 'number' || session.duration < 1000) return null;
-    if (typeof session.timestamp !== 'number') return null;
-    return session;
+function sanitizeText(value, maxLength) {
+    return String(value || '').trim().slice(0, maxLength);
 }
 
 let startTime = 0;
 let elapsed = 0;
 let running = false;
 let interval;
+let phaseTimeout;
+
+let mode = 'stopwatch';
+let pomodoroSettings = loadPomodoroSettings();
+let pomodoroState = initialPomodoroState();
+
+let sharedGroupId = null;
+let sharedUnsubscribe = null;
 
-let todayData = null;
-let allTimeData = null;
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel('stopwatch') : null;
+
+let todayData = { total: 0, sessions: 0 };
+let allTimeData = { total: 0, sessions: 0 };
 let sessions = null;
 
-try {
-    const storedToday = localStorage.getItem(TODAY_KEY);
-    todayData = storedToday ? decryptData(storedToday) : null;
-    todayData = validateStoredData(todayData) || { total: 0, sessions: 0 };
-} catch {
-    todayData = { total: 0, sessions: 0 };
+let subjects = loadData(SUBJECTS_KEY, []);
+if (!Array.isArray(subjects)) subjects = [];
+subjects = subjects.filter(subject => typeof subject === 'string' && subject.length > 0 && subject.length <= 50);
+
+let editingTimestamp = null;
+
+let historyPage = 0;
+let historyFrom = null;
+let historyTo = null;
+
+function loadSessions() {
+    sessions = loadStoredSessions();
+}
+
+loadSessions();
+
+LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+
+function sumSessions(list) {
+    return list.reduce((totals, session) => ({
+        total: totals.total + session.duration,
+        sessions: totals.sessions + 1
+    }), { total: 0, sessions: 0 });
 }
 
-try {
-    const storedAllTime = localStorage.getItem(ALL_TIME_KEY);
-    allTimeData = storedAllTime ? decryptData(storedAllTime) : null;
-    allTimeData = validateStoredData(allTimeData) || { total: 0, sessions: 0 };
-} catch {
-    allTimeData = { total: 0, sessions: 0 };
+function todayPortion(session, today) {
+    return splitByStudyDay(session)
+        .filter(piece => piece.key === today)
+        .reduce((sum, piece) => sum + piece.duration, 0);
 }
 
-try {
-    const storedSessions = localStorage.getItem(SESSIONS_KEY);
-    sessions = storedSessions ? decryptData(storedSessions) : null;
-    sessions = Array.isArray(sessions) ? sessions.filter(s => validateSession(s)) : [];
-} catch {
-    sessions = [];
+function recalculateTotals() {
+    const today = studyDayKey();
+    allTimeData = sumSessions(sessions);
+    todayData = sessions.reduce((totals, session) => {
+        const portion = todayPortion(session, today);
+        return portion > 0
+            ? { total: totals.total + portion, sessions: totals.sessions + 1 }
+            : totals;
+    }, { total: 0, sessions: 0 });
+}
+
+function validateTimerState(state) {
+    if (!state || typeof state !== 'object') return null;
+    if (!['stopwatch', 'pomodoro'].includes(state.mode)) return null;
+    if (typeof state.running !== 'boolean') return null;
+    if (typeof state.startTime !== 'number' || typeof state.elapsed !== 'number' || state.elapsed < 0) return null;
+    if (!state.pomodoroState || !PHASE_LABELS[state.pomodoroState.phase]) return null;
+    if (!Number.isInteger(state.pomodoroState.cycle) || state.pomodoroState.cycle < 1) return null;
+    return state;
+}
+
+function persistTimerState() {
+    const state = { running, startTime, elapsed, mode, pomodoroState };
+    storeData(TIMER_KEY, state);
+    if (channel) channel.postMessage({ type: 'timer', state });
+    updatePresence(running, startTime);
+}
+
+function applyTimerState(state) {
+    clearInterval(interval);
+    clearTimeout(phaseTimeout);
+
+    mode = state.mode;
+    pomodoroState = state.pomodoroState;
+    startTime = state.startTime;
+    elapsed = state.elapsed;
+    running = state.running;
+
+    const controlBtn = document.getElementById('control');
+    if (controlBtn) controlBtn.textContent = running ? 'STOP' : 'START';
+    const modeSelect = document.getElementById('modeSelect');
+    if (modeSelect) modeSelect.value = mode;
+
+    renderPomodoro();
+    updatePresence(running, startTime);
+    if (running) {
+        startTicking();
+        updateTimer();
+    } else {
+        renderTimer();
+    }
+}
+
+function startTicking() {
+    clearInterval(interval);
+    clearTimeout(phaseTimeout);
+    interval = setInterval(updateTimer, 1000);
+    if (mode === 'pomodoro') {
+        const remaining = startTime + phaseLength(pomodoroState.phase, pomodoroSettings) - Date.now();
+        phaseTimeout = setTimeout(updateTimer, Math.max(0, remaining));
+    }
 }
 
 export function toggle() {
     if (!running) {
+        if (mode === 'pomodoro') requestNotificationPermission();
         startTime = Date.now() - elapsed;
-        interval = setInterval(updateTimer, 1000);
+        running = true;
+        startTicking();
         const controlBtn = document.getElementById('control');
         if (controlBtn) controlBtn.textContent = 'STOP';
-        running = true;
     } else {
-        clearInterval(interval);
-        running = false;
-        const controlBtn = document.getElementById('control');
-        if (controlBtn) controlBtn.textContent = 'START';
+        elapsed = Date.now() - startTime;
+        stopTimer();
     }
+    persistTimerState();
+    if (sharedGroupId) setSharedRunning(sharedGroupId, running, elapsed);
+}
+
+function renderSharedStatus(data) {
+    const panel = document.getElementById('sharedPanel');
+    const status = document.getElementById('sharedStatus');
+    if (panel) panel.hidden = !sharedGroupId;
+    if (!status || !data) return;
+
+    const names = (data.participants || []).map(uid => (data.participantNames || {})[uid] || 'Unknown member');
+    status.textContent = `Shared session with ${names.join(', ')}`;
+}
+
+function stopWatchingShared() {
+    if (sharedUnsubscribe) sharedUnsubscribe();
+    sharedUnsubscribe = null;
+    sharedGroupId = null;
+    renderSharedStatus(null);
+}
+
+function applySharedSession(data) {
+    const user = auth.currentUser;
+    const groupId = sharedGroupId;
+
+    if (data && data.ended) {
+        stopTimer();
+        elapsed = data.elapsed || 0;
+        saveSession();
+        if (sharedGroupId) {
+            leaveSharedSession(groupId);
+            stopWatchingShared();
+            elapsed = 0;
+            persistTimerState();
+            renderTimer();
+        }
+        return;
+    }
+
+    if (!data || !user || !(data.participants || []).includes(user.uid)) {
+        leaveSharedSession(groupId);
+        stopWatchingShared();
+        return;
+    }
+
+    applyTimerState({
+        running: data.running,
+        startTime: data.startTime,
+        elapsed: currentElapsed(data),
+        mode: 'stopwatch',
+        pomodoroState
+    });
+    storeData(TIMER_KEY, { running, startTime, elapsed, mode, pomodoroState });
+    renderSharedStatus(data);
+}
+
+function watchJoinedSession() {
+    const joined = getJoinedSession();
+    if (!joined || sharedGroupId === joined.groupId) return;
+
+    stopWatchingShared();
+    sharedGroupId = joined.groupId;
+    renderSharedStatus(null);
+    sharedUnsubscribe = watchSharedSession(sharedGroupId, applySharedSession);
+}
+
+function endSharedForEveryone() {
+    if (!sharedGroupId) return;
+    if (!confirm('End the shared session for everyone? Each participant will save their time.')) return;
+    endSharedSession(sharedGroupId, running ? Date.now() - startTime : elapsed);
+}
+
+function stopTimer() {
+    clearInterval(interval);
+    clearTimeout(phaseTimeout);
+    running = false;
+    const controlBtn = document.getElementById('control');
+    if (controlBtn) controlBtn.textContent = 'START';
+}
+
+function claimPhaseEnd(phaseEnd) {
+    if (localStorage.getItem(PHASE_END_KEY) === String(phaseEnd)) return false;
+    localStorage.setItem(PHASE_END_KEY, String(phaseEnd));
+    return true;
 }
 
 function updateTimer() {
+    if (!running) return;
     elapsed = Date.now() - startTime;
+    if (mode === 'pomodoro' && elapsed >= phaseLength(pomodoroState.phase, pomodoroSettings)) {
+        const phaseEnd = startTime + phaseLength(pomodoroState.phase, pomodoroSettings);
+        if (claimPhaseEnd(phaseEnd)) {
+            completePhase(phaseEnd);
+        } else {
+            stopTimer();
+        }
+        return;
+    }
+    renderTimer();
+}
+
+function renderTimer() {
     const timerDisplay = document.getElementById('timer');
-    if (timerDisplay) timerDisplay.textContent = formatTime(elapsed);
+    if (!timerDisplay) return;
+
+    if (mode === 'pomodoro') {
+        const remaining = Math.max(0, phaseLength(pomodoroState.phase, pomodoroSettings) - elapsed);
+        timerDisplay.textContent = formatTime(remaining + 999);
+    } else {
+        timerDisplay.textContent = formatTime(elapsed);
+    }
+}
+
+function completePhase(phaseEnd) {
+    const finished = pomodoroState.phase;
+
+    stopTimer();
+    if (finished === 'work') {
+        elapsed = phaseLength('work', pomodoroSettings);
+        saveSession({ ...readSessionDetails(), endedAt: phaseEnd });
+    } else {
+        elapsed = 0;
+    }
+
+    pomodoroState = nextPhase(pomodoroState, pomodoroSettings);
+    persistTimerState();
+    notifyPhaseEnd(finished, pomodoroState.phase);
+    renderPomodoro();
+    renderTimer();
+}
+
+function skipPhase() {
+    if (mode !== 'pomodoro') return;
+    stopTimer();
+    elapsed = 0;
+    pomodoroState = nextPhase(pomodoroState, pomodoroSettings);
+    persistTimerState();
+    renderPomodoro();
+    renderTimer();
+}
+
+function renderPomodoro() {
+    const panel = document.getElementById('pomodoroPanel');
+    const saveBtn = document.getElementById('saveSessionBtn');
+    if (panel) panel.hidden = mode !== 'pomodoro';
+    if (saveBtn) saveBtn.disabled = mode === 'pomodoro' && pomodoroState.phase !== 'work';
+
+    const status = document.getElementById('pomodoroStatus');
+    if (status) {
+        status.textContent = `${PHASE_LABELS[pomodoroState.phase]} - pomodoro ${pomodoroState.cycle} of ${pomodoroSettings.cyclesBeforeLongBreak}`;
+    }
+
+    const fields = {
+        pomodoroWork: 'work',
+        pomodoroShortBreak: 'shortBreak',
+        pomodoroLongBreak: 'longBreak',
+        pomodoroCycles: 'cyclesBeforeLongBreak'
+    };
+    Object.entries(fields).forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (input && document.activeElement !== input) input.value = pomodoroSettings[key];
+    });
+}
+
+function applyPomodoroSettings() {
+    const readField = (id) => {
+        const input = document.getElementById(id);
+        return input ? Number(input.value) : NaN;
+    };
+    const settings = {
+        work: readField('pomodoroWork'),
+        shortBreak: readField('pomodoroShortBreak'),
+        longBreak: readField('pomodoroLongBreak'),
+        cyclesBeforeLongBreak: readField('pomodoroCycles')
+    };
+
+    if (!savePomodoroSettings(settings)) {
+        alert('Please enter whole minutes: work 1-180, short break 1-60, long break 1-120, 1-12 pomodoros per long break');
+        return;
+    }
+
+    pomodoroSettings = settings;
+    renderPomodoro();
+    renderTimer();
+}
+
+function setMode(newMode) {
+    if (newMode === mode) return;
+    if (running || elapsed > 0 || sharedGroupId) {
+        alert('Save the current session before switching modes');
+        const modeSelect = document.getElementById('modeSelect');
+        if (modeSelect) modeSelect.value = mode;
+        return;
+    }
+
+    mode = newMode;
+    pomodoroState = initialPomodoroState();
+    persistTimerState();
+    renderPomodoro();
+    renderTimer();
 }
 
 function formatTime(ms) {
@@ -89,62 +372,164 @@ function formatTime(ms) {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 }
 
-export function saveSession() {
+function readSessionDetails() {
+    const subjectSelect = document.getElementById('subjectSelect');
+    const topicInput = document.getElementById('topicInput');
+    const notesInput = document.getElementById('notesInput');
+    return {
+        subject: subjectSelect ? subjectSelect.value : '',
+        topic: topicInput ? topicInput.value : '',
+        notes: notesInput ? notesInput.value : ''
+    };
+}
+
+function clearSessionDetails() {
+    const topicInput = document.getElementById('topicInput');
+    const notesInput = document.getElementById('notesInput');
+    if (topicInput) topicInput.value = '';
+    if (notesInput) notesInput.value = '';
+}
+
+export function saveSession(details = readSessionDetails()) {
+    if (running) elapsed = Date.now() - startTime;
     if (elapsed < 1000) return;
+    if (mode === 'pomodoro' && pomodoroState.phase !== 'work') return;
     
+    const endedAt = new Date(details.endedAt || Date.now());
     const session = {
         duration: elapsed,
         formatted: formatTime(elapsed),
-        date: new Date().toLocaleDateString(),
-        time: new Date().toLocaleTimeString(),
-        timestamp: Date.now()
+        date: endedAt.toLocaleDateString(),
+        time: endedAt.toLocaleTimeString(),
+        timestamp: endedAt.getTime(),
+        type: mode
     };
+
+    const subject = sanitizeText(details.subject, 50);
+    const topic = sanitizeText(details.topic, 100);
+    const notes = sanitizeText(details.notes, 1000);
+    if (subject) session.subject = subject;
+    if (topic) session.topic = topic;
+    if (notes) session.notes = notes;
+    if (sharedGroupId) session.groupId = sharedGroupId;
     
     if (!validateSession(session)) {
         console.error('Invalid session data');
         return;
     }
     
-    sessions.unshift(session); 
-    if (sessions.length > 20) sessions = sessions.slice(0, 20); 
-    
-    const newTotal = todayData.total + elapsed;
-    if (newTotal < todayData.total) {
-        console.error('Total overflow detected');
-        return; 
-    }
-    
-    todayData.total = newTotal;
-    todayData.sessions += 1;
-    
-    const newAllTimeTotal = allTimeData.total + elapsed;
-    if (newAllTimeTotal < allTimeData.total) {
-        console.error('All-time total overflow detected');
-        return;
-    }
-    
-    allTimeData.total = newAllTimeTotal;
-    allTimeData.sessions += 1;
+    sessions.unshift(session);
+    recalculateTotals();
     
     elapsed = 0;
-    const timerDisplay = document.getElementById('timer');
-    if (timerDisplay) timerDisplay.textContent = '00:00:00';
-    if (running) {
-        clearInterval(interval);
-        running = false;
-        const controlBtn = document.getElementById('control');
-        if (controlBtn) controlBtn.textContent = 'START';
-    }
+    stopTimer();
+    persistTimerState();
+    renderTimer();
+    clearSessionDetails();
     
+    saveAllData();
+    queueSession(session);
+    checkGoals(dailyTotals(sessions));
+    updateDisplay();
+
+    if (sharedGroupId) {
+        leaveSharedSession(sharedGroupId);
+        stopWatchingShared();
+    }
+}
+
+function mergeSessions(incoming) {
+    const known = new Set(sessions.map(s => s.timestamp));
+    const added = incoming.filter(s => {
+        if (!validateSession(s) || known.has(s.timestamp)) return false;
+        known.add(s.timestamp);
+        return true;
+    });
+    if (added.length === 0) return added;
+
+    sessions = [...sessions, ...added].sort((a, b) => b.timestamp - a.timestamp);
+    recalculateTotals();
     saveAllData();
     updateDisplay();
+    return added;
+}
+
+function mergeRemoteSessions(remote) {
+    mergeSessions(remote);
+}
+
+function exportData(format) {
+    const totals = { ...allTimeData, formatted: formatTime(allTimeData.total) };
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+        downloadFile(`study-sessions-${stamp}.csv`, toCsv(sessions, totals), 'text/csv');
+    } else {
+        downloadFile(`study-sessions-${stamp}.json`, toJson(sessions, totals), 'application/json');
+    }
+}
+
+function normalizeImported(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    if (typeof entry.timestamp !== 'number' || !Number.isFinite(entry.timestamp)) return null;
+    if (typeof entry.duration !== 'number' || !Number.isFinite(entry.duration)) return null;
+
+    const endedAt = new Date(entry.timestamp);
+    const session = {
+        duration: Math.round(entry.duration),
+        formatted: formatTime(entry.duration),
+        date: endedAt.toLocaleDateString(),
+        time: endedAt.toLocaleTimeString(),
+        timestamp: entry.timestamp,
+        type: SESSION_TYPES.includes(entry.type) ? entry.type : 'stopwatch'
+    };
+
+    Object.entries({ subject: 50, topic: 100, notes: 1000 }).forEach(([field, maxLength]) => {
+        if (typeof entry[field] === 'string' && entry[field].trim()) session[field] = sanitizeText(entry[field], maxLength);
+    });
+    if (typeof entry.groupId === 'string' && entry.groupId && entry.groupId.length <= 128) {
+        session.groupId = entry.groupId;
+    }
+    return validateSession(session);
+}
+
+async function importData() {
+    const fileInput = document.getElementById('importFile');
+    const file = fileInput && fileInput.files[0];
+    if (!file) {
+        alert('Choose a CSV or JSON file to import');
+        return;
+    }
+
+    try {
+        const entries = await readImportFile(file);
+        const valid = entries.map(normalizeImported).filter(Boolean);
+        const added = mergeSessions(valid);
+        if (added.length > 0) queueSessions(added);
+
+        const skipped = entries.length - valid.length;
+        alert(`Imported ${added.length} session${added.length !== 1 ? 's' : ''}` +
+            `${valid.length - added.length > 0 ? `, ${valid.length - added.length} already present` : ''}` +
+            `${skipped > 0 ? `, ${skipped} invalid skipped` : ''}`);
+        fileInput.value = '';
+    } catch (err) {
+        alert(`Import failed: ${err.message}`);
+    }
+}
+
+function updateSyncStatus(pendingCount) {
+    const syncStatus = document.getElementById('syncStatus');
+    if (!syncStatus) return;
+    syncStatus.textContent = pendingCount > 0
+        ? `${pendingCount} session${pendingCount !== 1 ? 's' : ''} waiting to sync`
+        : '';
 }
 
 function saveAllData() {
     try {
-        localStorage.setItem(TODAY_KEY, encryptData(todayData));
-        localStorage.setItem(ALL_TIME_KEY, encryptData(allTimeData));
         localStorage.setItem(SESSIONS_KEY, encryptData(sessions));
+        if (channel) channel.postMessage({ type: 'sessions' });
+        publishStudyTotals(sessions);
     } catch (err) {
         console.error('Failed to save data:', err);
     }
@@ -161,52 +546,537 @@ export function updateDisplay() {
     if (allTimeTotal) allTimeTotal.textContent = formatTime(allTimeData.total);
     if (totalSessions) totalSessions.textContent = allTimeData.sessions;
     
+    renderGoals();
+    renderSubjectTotals();
+    renderHistory();
+    renderStats(sessions);
+}
+
+function renderGoalProgress(prefix, progress) {
+    const bar = document.getElementById(`${prefix}GoalProgress`);
+    const text = document.getElementById(`${prefix}GoalText`);
+    const hasGoal = progress.goal > 0;
+
+    if (bar) {
+        bar.hidden = !hasGoal;
+        bar.max = progress.goal || 1;
+        bar.value = Math.min(progress.done, progress.goal);
+    }
+    if (text) {
+        text.textContent = hasGoal
+            ? `${Math.floor(progress.done / 60000)} / ${progress.goal / 60000} min${progress.done >= progress.goal ? ' - goal reached!' : ''}`
+            : '';
+    }
+}
+
+function renderGoals() {
+    const progress = goalProgress(dailyTotals(sessions));
+    renderGoalProgress('daily', progress.daily);
+    renderGoalProgress('weekly', progress.weekly);
+
+    const weekTotal = document.getElementById('weekTotal');
+    if (weekTotal) weekTotal.textContent = formatTime(progress.weekly.done);
+}
+
+function applyGoals() {
+    const dailyInput = document.getElementById('dailyGoalInput');
+    const weeklyInput = document.getElementById('weeklyGoalInput');
+    const newGoals = {
+        daily: dailyInput && dailyInput.value !== '' ? Number(dailyInput.value) : 0,
+        weekly: weeklyInput && weeklyInput.value !== '' ? Number(weeklyInput.value) : 0
+    };
+
+    if (!setGoals(newGoals)) {
+        alert('Goals must be whole minutes: up to 1440 per day and 10080 per week (0 for no goal)');
+        return;
+    }
+
+    requestNotificationPermission();
+    renderGoals();
+    renderStats(sessions);
+}
+
+function knownSubjects() {
+    const fromSessions = sessions.map(s => s.subject).filter(Boolean);
+    return [...new Set([...subjects, ...fromSessions])].sort((a, b) => a.localeCompare(b));
+}
+
+function renderSubjectOptions() {
+    ['subjectSelect', 'manualSubject'].forEach(id => {
+        const subjectSelect = document.getElementById(id);
+        if (!subjectSelect) return;
+
+        const selected = subjectSelect.value;
+        subjectSelect.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No subject';
+        subjectSelect.appendChild(none);
+
+        knownSubjects().forEach(subject => {
+            const option = document.createElement('option');
+            option.value = subject;
+            option.textContent = subject;
+            subjectSelect.appendChild(option);
+        });
+
+        subjectSelect.value = knownSubjects().includes(selected) ? selected : '';
+    });
+}
+
+function renderSubjectTotals() {
+    renderSubjectOptions();
+
+    const container = document.getElementById('subjectTotals');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const today = studyDayKey();
+    const totals = new Map();
+    sessions.forEach(session => {
+        const subject = session.subject || 'No subject';
+        const entry = totals.get(subject) || { today: 0, allTime: 0 };
+        entry.allTime += session.duration;
+        entry.today += todayPortion(session, today);
+        totals.set(subject, entry);
+    });
+
+    if (totals.size === 0) return;
+
+    const table = document.createElement('table');
+    const headerRow = table.insertRow();
+    ['Subject', 'Today', 'All Time'].forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+
+    [...totals.entries()]
+        .sort((a, b) => b[1].allTime - a[1].allTime)
+        .forEach(([subject, entry]) => {
+            const row = table.insertRow();
+            row.insertCell(0).textContent = subject;
+            row.insertCell(1).textContent = formatTime(entry.today);
+            row.insertCell(2).textContent = formatTime(entry.allTime);
+        });
+
+    container.appendChild(table);
+}
+
+function addSubject() {
+    const input = document.getElementById('newSubjectInput');
+    if (!input) return;
+
+    const subject = sanitizeText(input.value, 50);
+    if (!subject) {
+        alert('Subject name must be between 1 and 50 characters');
+        return;
+    }
+
+    if (!subjects.includes(subject)) {
+        subjects.push(subject);
+        storeData(SUBJECTS_KEY, subjects);
+    }
+
+    input.value = '';
+    renderSubjectOptions();
+    const subjectSelect = document.getElementById('subjectSelect');
+    if (subjectSelect) subjectSelect.value = subject;
+}
+
+function removeSubject() {
+    const subjectSelect = document.getElementById('subjectSelect');
+    if (!subjectSelect || !subjectSelect.value) return;
+
+    const subject = subjectSelect.value;
+    if (!confirm(`Remove "${subject}" from your subject list? Saved sessions keep their subject.`)) return;
+
+    subjects = subjects.filter(s => s !== subject);
+    storeData(SUBJECTS_KEY, subjects);
+    subjectSelect.value = '';
+    renderSubjectOptions();
+}
+
+function parseDateInput(value, endOfDay) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    if (!year || !month || !day) return null;
+    return endOfDay
+        ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+        : new Date(year, month - 1, day).getTime();
+}
+
+function filteredSessions() {
+    return sessions.filter(s =>
+        (historyFrom === null || s.timestamp >= historyFrom) &&
+        (historyTo === null || s.timestamp <= historyTo)
+    );
+}
+
+function renderHistory() {
     const historyDiv = document.getElementById('history');
     if (!historyDiv) return;
-    
+
     historyDiv.innerHTML = '';
-    
-    sessions.forEach(session => {
-        if (!validateSession(session)) return;
-        const div = document.createElement('div');
-        div.textContent = `${session.formatted} - ${session.date} ${session.time}`;
-        historyDiv.appendChild(div);
+
+    const matching = filteredSessions();
+    const pageCount = Math.max(1, Math.ceil(matching.length / HISTORY_PAGE_SIZE));
+    historyPage = Math.min(historyPage, pageCount - 1);
+
+    matching
+        .slice(historyPage * HISTORY_PAGE_SIZE, (historyPage + 1) * HISTORY_PAGE_SIZE)
+        .forEach(session => {
+            const div = document.createElement('div');
+            const tag = ['pomodoro', 'manual', 'flashcards'].includes(session.type) ? ` (${session.type})` : '';
+            const label = [session.subject, session.topic].filter(Boolean).join(': ');
+            const text = document.createElement('span');
+            text.textContent = `${session.formatted} - ${session.date} ${session.time}${tag}${label ? ` - ${label}` : ''}`;
+            if (session.notes) text.title = session.notes;
+            div.appendChild(text);
+
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => startEditing(session.timestamp));
+            div.appendChild(editBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => deleteSession(session.timestamp));
+            div.appendChild(deleteBtn);
+
+            historyDiv.appendChild(div);
+        });
+
+    if (matching.length === 0) {
+        historyDiv.innerHTML = sessions.length === 0
+            ? '<div>No sessions saved yet</div>'
+            : '<div>No sessions in this date range</div>';
+    }
+
+    const filterTotals = sumSessions(matching);
+    const historySummary = document.getElementById('historySummary');
+    if (historySummary) {
+        historySummary.textContent = `${formatTime(filterTotals.total)} across ${filterTotals.sessions} session${filterTotals.sessions !== 1 ? 's' : ''}`;
+    }
+
+    const pageInfo = document.getElementById('historyPageInfo');
+    const prevBtn = document.getElementById('historyPrevBtn');
+    const nextBtn = document.getElementById('historyNextBtn');
+    if (pageInfo) pageInfo.textContent = `Page ${historyPage + 1} of ${pageCount}`;
+    if (prevBtn) prevBtn.disabled = historyPage === 0;
+    if (nextBtn) nextBtn.disabled = historyPage >= pageCount - 1;
+}
+
+function pad(value) {
+    return value.toString().padStart(2, '0');
+}
+
+function readManualForm() {
+    const dateInput = document.getElementById('manualDate');
+    const timeInput = document.getElementById('manualStart');
+    const durationInput = document.getElementById('manualDuration');
+    const subjectSelect = document.getElementById('manualSubject');
+
+    const [year, month, day] = (dateInput ? dateInput.value : '').split('-').map(Number);
+    const [hours, minutes] = (timeInput ? timeInput.value : '').split(':').map(Number);
+    const durationMinutes = durationInput ? Number(durationInput.value) : NaN;
+
+    if (!year || !month || !day || !Number.isInteger(hours) || !Number.isInteger(minutes)) {
+        alert('Please enter a date and start time');
+        return null;
+    }
+    if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > 24 * 60) {
+        alert('Duration must be between 1 minute and 24 hours');
+        return null;
+    }
+
+    const start = new Date(year, month - 1, day, hours, minutes).getTime();
+    const duration = Math.round(durationMinutes * 60000);
+    if (start + duration > Date.now()) {
+        alert('Sessions cannot end in the future');
+        return null;
+    }
+
+    return {
+        start,
+        duration,
+        subject: sanitizeText(subjectSelect ? subjectSelect.value : '', 50)
+    };
+}
+
+function uniqueTimestamp(timestamp) {
+    const taken = new Set(sessions.filter(s => s.timestamp !== editingTimestamp).map(s => s.timestamp));
+    let unique = timestamp;
+    while (taken.has(unique)) unique += 1;
+    return unique;
+}
+
+function resetManualForm() {
+    editingTimestamp = null;
+    ['manualDate', 'manualStart', 'manualDuration'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
     });
-    
-    if (sessions.length === 0) {
-        historyDiv.innerHTML = '<div>No sessions saved yet</div>';
+    const subjectSelect = document.getElementById('manualSubject');
+    if (subjectSelect) subjectSelect.value = '';
+
+    const heading = document.getElementById('manualHeading');
+    const cancelBtn = document.getElementById('manualCancelBtn');
+    if (heading) heading.textContent = 'Add Session:';
+    if (cancelBtn) cancelBtn.hidden = true;
+}
+
+function submitManualSession() {
+    const form = readManualForm();
+    if (!form) return;
+
+    const original = sessions.find(s => s.timestamp === editingTimestamp);
+    const endedAt = new Date(uniqueTimestamp(form.start + form.duration));
+    const session = {
+        ...(original || { type: 'manual' }),
+        duration: form.duration,
+        formatted: formatTime(form.duration),
+        date: endedAt.toLocaleDateString(),
+        time: endedAt.toLocaleTimeString(),
+        timestamp: endedAt.getTime()
+    };
+    if (form.subject) {
+        session.subject = form.subject;
+    } else {
+        delete session.subject;
     }
+
+    if (!validateSession(session)) {
+        console.error('Invalid session data');
+        return;
+    }
+
+    if (original) {
+        sessions = sessions.filter(s => s !== original);
+        if (original.timestamp !== session.timestamp) queueSessionDeletion(original);
+    }
+    sessions = [session, ...sessions].sort((a, b) => b.timestamp - a.timestamp);
+
+    recalculateTotals();
+    saveAllData();
+    queueSession(session);
+    checkGoals(dailyTotals(sessions));
+    resetManualForm();
+    updateDisplay();
+}
+
+function startEditing(timestamp) {
+    const session = sessions.find(s => s.timestamp === timestamp);
+    if (!session) return;
+
+    editingTimestamp = timestamp;
+    const start = new Date(session.timestamp - session.duration);
+
+    const dateInput = document.getElementById('manualDate');
+    const timeInput = document.getElementById('manualStart');
+    const durationInput = document.getElementById('manualDuration');
+    const subjectSelect = document.getElementById('manualSubject');
+    if (dateInput) dateInput.value = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    if (timeInput) timeInput.value = `${pad(start.getHours())}:${pad(start.getMinutes())}`;
+    if (durationInput) durationInput.value = Math.round(session.duration / 6000) / 10;
+    if (subjectSelect) subjectSelect.value = session.subject || '';
+
+    const heading = document.getElementById('manualHeading');
+    const cancelBtn = document.getElementById('manualCancelBtn');
+    if (heading) heading.textContent = 'Edit Session:';
+    if (cancelBtn) cancelBtn.hidden = false;
+    if (dateInput) dateInput.focus();
+}
+
+function deleteSession(timestamp) {
+    const session = sessions.find(s => s.timestamp === timestamp);
+    if (!session) return;
+    if (!confirm(`Delete the ${session.formatted} session from ${session.date} ${session.time}?`)) return;
+
+    sessions = sessions.filter(s => s !== session);
+    if (editingTimestamp === timestamp) resetManualForm();
+
+    recalculateTotals();
+    saveAllData();
+    queueSessionDeletion(session);
+    updateDisplay();
+}
+
+function applyHistoryFilter() {
+    const fromInput = document.getElementById('historyFrom');
+    const toInput = document.getElementById('historyTo');
+    historyFrom = parseDateInput(fromInput ? fromInput.value : '', false);
+    historyTo = parseDateInput(toInput ? toInput.value : '', true);
+    historyPage = 0;
+    renderHistory();
+}
+
+function changeHistoryPage(delta) {
+    historyPage = Math.max(0, historyPage + delta);
+    renderHistory();
+}
+
+function resetLocalState() {
+    sessions = [];
+    recalculateTotals();
+    elapsed = 0;
+    saveAllData();
+    updateDisplay();
+    stopTimer();
+    pomodoroState = initialPomodoroState();
+    persistTimerState();
+    renderPomodoro();
+    renderTimer();
+}
+
+// Another account's history was cleared from this browser on sign-in.
+function onLocalCleared() {
+    subjects = [];
+    resetLocalState();
 }
 
 export function clearAll() {
     if (confirm('Clear ALL data? This cannot be undone.')) {
-        todayData = { total: 0, sessions: 0 };
-        allTimeData = { total: 0, sessions: 0 };
-        sessions = [];
-        elapsed = 0;
-        saveAllData();
-        updateDisplay();
-        const timerDisplay = document.getElementById('timer');
-        if (timerDisplay) timerDisplay.textContent = '00:00:00';
-        if (running) {
-            clearInterval(interval);
-            running = false;
-            const controlBtn = document.getElementById('control');
-            if (controlBtn) controlBtn.textContent = 'START';
-        }
+        resetLocalState();
+        clearSyncedSessions().catch(err => console.error('Failed to clear synced sessions:', err));
     }
 }
 
-function checkNewDay() {
-    const today = new Date().toDateString();
-    const lastSaved = localStorage.getItem('stopwatch_lastdate');
-    
-    if (lastSaved !== today) {
-        localStorage.setItem('stopwatch_lastdate', today);
-        todayData = { total: 0, sessions: 0 };
-        saveAllData();
+recalculateTotals();
+updateDisplay();
+
+if (channel) {
+    channel.addEventListener('message', (event) => {
+        const message = event.data || {};
+        if (message.type === 'timer') {
+            const state = validateTimerState(message.state);
+            if (state) applyTimerState(state);
+        } else if (message.type === 'sessions') {
+            loadSessions();
+            recalculateTotals();
+            updateDisplay();
+        }
+    });
+}
+
+onStudyDayChange(() => {
+    recalculateTotals();
+    updateDisplay();
+    publishStudyTotals(sessions);
+});
+
+function applyDayBoundary() {
+    const boundarySelect = document.getElementById('dayBoundarySelect');
+    if (!boundarySelect) return;
+    if (!setDayBoundary(Number(boundarySelect.value))) {
+        boundarySelect.value = getDayBoundary();
+        return;
     }
+    recalculateTotals();
+    updateDisplay();
 }
 
-checkNewDay();
-updateDisplay();
\ No newline at end of file
+requireAuth(() => watchJoinedSession());
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') updateTimer();
+});
+
+window.addEventListener('beforeunload', (e) => {
+    if (!running && elapsed < 1000) return;
+    e.preventDefault();
+    e.returnValue = '';
+});
+
+startSessionSync({
+    getLocalSessions: () => sessions,
+    onRemoteSessions: mergeRemoteSessions,
+    onLocalCleared,
+    onStatusChange: updateSyncStatus
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    const controlBtn = document.getElementById('control');
+    const saveBtn = document.getElementById('saveSessionBtn');
+    const clearBtn = document.getElementById('clearAllBtn');
+    const backBtn = document.getElementById('backHomeBtn');
+
+    if (controlBtn) controlBtn.addEventListener('click', toggle);
+    if (saveBtn) saveBtn.addEventListener('click', () => saveSession());
+    if (clearBtn) clearBtn.addEventListener('click', clearAll);
+    if (backBtn) backBtn.addEventListener('click', () => window.location.href = 'homepage.html');
+
+    const fromInput = document.getElementById('historyFrom');
+    const toInput = document.getElementById('historyTo');
+    const resetFilterBtn = document.getElementById('historyResetBtn');
+    const prevBtn = document.getElementById('historyPrevBtn');
+    const nextBtn = document.getElementById('historyNextBtn');
+
+    if (fromInput) fromInput.addEventListener('change', applyHistoryFilter);
+    if (toInput) toInput.addEventListener('change', applyHistoryFilter);
+    if (resetFilterBtn) resetFilterBtn.addEventListener('click', () => {
+        if (fromInput) fromInput.value = '';
+        if (toInput) toInput.value = '';
+        applyHistoryFilter();
+    });
+    if (prevBtn) prevBtn.addEventListener('click', () => changeHistoryPage(-1));
+    if (nextBtn) nextBtn.addEventListener('click', () => changeHistoryPage(1));
+
+    const sharedEndBtn = document.getElementById('sharedEndBtn');
+    if (sharedEndBtn) sharedEndBtn.addEventListener('click', endSharedForEveryone);
+
+    const manualSaveBtn = document.getElementById('manualSaveBtn');
+    const manualCancelBtn = document.getElementById('manualCancelBtn');
+
+    if (manualSaveBtn) manualSaveBtn.addEventListener('click', submitManualSession);
+    if (manualCancelBtn) manualCancelBtn.addEventListener('click', resetManualForm);
+
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    const exportJsonBtn = document.getElementById('exportJsonBtn');
+    const importBtn = document.getElementById('importBtn');
+
+    if (exportCsvBtn) exportCsvBtn.addEventListener('click', () => exportData('csv'));
+    if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => exportData('json'));
+    if (importBtn) importBtn.addEventListener('click', importData);
+
+    const addSubjectBtn = document.getElementById('addSubjectBtn');
+    const removeSubjectBtn = document.getElementById('removeSubjectBtn');
+
+    if (addSubjectBtn) addSubjectBtn.addEventListener('click', addSubject);
+    if (removeSubjectBtn) removeSubjectBtn.addEventListener('click', removeSubject);
+    renderSubjectOptions();
+
+    const modeSelect = document.getElementById('modeSelect');
+    const pomodoroSaveBtn = document.getElementById('pomodoroSaveSettingsBtn');
+    const pomodoroSkipBtn = document.getElementById('pomodoroSkipBtn');
+
+    if (modeSelect) modeSelect.addEventListener('change', () => setMode(modeSelect.value));
+
+    const dailyGoalInput = document.getElementById('dailyGoalInput');
+    const weeklyGoalInput = document.getElementById('weeklyGoalInput');
+    const saveGoalsBtn = document.getElementById('saveGoalsBtn');
+    const goals = getGoals();
+
+    if (dailyGoalInput) dailyGoalInput.value = goals.daily;
+    if (weeklyGoalInput) weeklyGoalInput.value = goals.weekly;
+    if (saveGoalsBtn) saveGoalsBtn.addEventListener('click', applyGoals);
+
+    const boundarySelect = document.getElementById('dayBoundarySelect');
+    if (boundarySelect) {
+        for (let hour = 0; hour <= 12; hour++) {
+            const option = document.createElement('option');
+            option.value = hour;
+            option.textContent = `${hour.toString().padStart(2, '0')}:00`;
+            boundarySelect.appendChild(option);
+        }
+        boundarySelect.value = getDayBoundary();
+        boundarySelect.addEventListener('change', applyDayBoundary);
+    }
+    if (pomodoroSaveBtn) pomodoroSaveBtn.addEventListener('click', applyPomodoroSettings);
+    if (pomodoroSkipBtn) pomodoroSkipBtn.addEventListener('click', skipPhase);
+
+    const storedTimer = validateTimerState(loadData(TIMER_KEY, null));
+    applyTimerState(storedTimer || { running, startTime, elapsed, mode, pomodoroState });
+});
\ No newline at end of file
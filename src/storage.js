@@ -0,0 +1,42 @@
+const LOCAL_KEY_PREFIXES = ['stopwatch_', 'pomodoro_'];
+
+export function encryptData(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+export function decryptData(encoded) {
+    try {
+        const binary = atob(encoded);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        return null;
+    }
+}
+
+export function loadData(key, fallback) {
+    try {
+        const stored = localStorage.getItem(key);
+        const data = stored ? decryptData(stored) : null;
+        return data === null ? fallback : data;
+    } catch {
+        return fallback;
+    }
+}
+
+export function storeData(key, data) {
+    try {
+        localStorage.setItem(key, encryptData(data));
+    } catch (err) {
+        console.error('Failed to save data:', err);
+    }
+}
+
+// Removes the study data this browser keeps for the signed-in account, apart
+// from the keys listed in keep.
+export function clearLocalData(keep = []) {
+    Object.keys(localStorage)
+        .filter(key => LOCAL_KEY_PREFIXES.some(prefix => key.startsWith(prefix)) && !keep.includes(key))
+        .forEach(key => localStorage.removeItem(key));
+}
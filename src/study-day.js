@@ -0,0 +1,85 @@
+import { loadData, storeData } from './storage.js';
+
+const BOUNDARY_KEY = 'stopwatch_day_boundary';
+const MAX_BOUNDARY_HOUR = 12;
+
+let boundaryHour = validateBoundary(loadData(BOUNDARY_KEY, 0)) ?? 0;
+
+function validateBoundary(hour) {
+    return Number.isInteger(hour) && hour >= 0 && hour <= MAX_BOUNDARY_HOUR ? hour : null;
+}
+
+export function getDayBoundary() {
+    return boundaryHour;
+}
+
+export function setDayBoundary(hour) {
+    if (validateBoundary(hour) === null) return false;
+    boundaryHour = hour;
+    storeData(BOUNDARY_KEY, hour);
+    return true;
+}
+
+export function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+export function studyDayStart(time) {
+    const d = new Date(time);
+    const start = new Date(d.getFullYear(), d.getMonth(), d.getDate(), boundaryHour);
+    if (start > d) start.setDate(start.getDate() - 1);
+    return start;
+}
+
+export function studyDate(time = Date.now()) {
+    const start = studyDayStart(time);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate());
+}
+
+export function studyDayKey(time = Date.now()) {
+    return dayKey(studyDate(time));
+}
+
+export function weekStart(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    return d;
+}
+
+export function splitByStudyDay(session) {
+    const pieces = [];
+    let end = session.timestamp;
+    let remaining = session.duration;
+
+    while (remaining > 0) {
+        const dayStart = studyDayStart(end - 1).getTime();
+        const piece = Math.min(remaining, end - dayStart);
+        pieces.push({ key: studyDayKey(end - 1), duration: piece });
+        remaining -= piece;
+        end -= piece;
+    }
+
+    return pieces;
+}
+
+export function dailyTotals(sessions) {
+    const totals = new Map();
+    sessions.forEach(session => {
+        splitByStudyDay(session).forEach(({ key, duration }) => {
+            totals.set(key, (totals.get(key) || 0) + duration);
+        });
+    });
+    return totals;
+}
+
+export function onStudyDayChange(callback) {
+    let current = studyDayKey();
+    return setInterval(() => {
+        const key = studyDayKey();
+        if (key === current) return;
+        current = key;
+        callback(key);
+    }, 60000);
+}
@@ -0,0 +1,593 @@
+// Security rules tests. Run with `npm test`, which starts the Firestore
+// emulator, runs these against firestore.rules and shuts it down again.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} from '@firebase/rules-unit-testing';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    writeBatch,
+    arrayUnion,
+    deleteField,
+    increment,
+    serverTimestamp,
+    Timestamp
+} from 'firebase/firestore';
+
+let testEnv;
+
+function db(uid) {
+    return testEnv.authenticatedContext(uid, { email_verified: true }).firestore();
+}
+
+async function seed(path, data) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), path), data);
+    });
+}
+
+function group(members, extra = {}) {
+    return {
+        name: 'Calculus',
+        nameLower: 'calculus',
+        createdBy: members[0],
+        members,
+        memberNames: Object.fromEntries(members.map(uid => [uid, uid])),
+        memberCount: members.length,
+        maxSize: 10,
+        visibility: 'public',
+        ...extra
+    };
+}
+
+function join(firestore, groupId, uid, memberCount) {
+    return updateDoc(doc(firestore, 'groups', groupId), {
+        members: arrayUnion(uid),
+        [`memberNames.${uid}`]: uid,
+        memberCount,
+        lastActivityAt: serverTimestamp()
+    });
+}
+
+// Mirrors redeemInvite in src/group-access.js.
+function joinWithInvite(firestore, groupId, uid, code) {
+    const batch = writeBatch(firestore);
+    batch.update(doc(firestore, 'groups', groupId), {
+        members: arrayUnion(uid),
+        [`memberNames.${uid}`]: uid,
+        memberCount: increment(1),
+        lastActivityAt: serverTimestamp()
+    });
+    batch.update(doc(firestore, 'invites', code), { uses: increment(1) });
+    batch.set(doc(firestore, 'groups', groupId, 'joinedVia', uid), { code, joinedAt: serverTimestamp() });
+    return batch.commit();
+}
+
+function leave(firestore, groupId, uid, remaining, extra = {}) {
+    return updateDoc(doc(firestore, 'groups', groupId), {
+        members: remaining,
+        [`memberNames.${uid}`]: deleteField(),
+        memberCount: remaining.length,
+        ...extra
+    });
+}
+
+// Mirrors sendMessage in src/group-chat.js.
+function postMessage(firestore, groupId, uid, fields = {}) {
+    const batch = writeBatch(firestore);
+    batch.set(doc(collection(firestore, 'groups', groupId, 'messages')), {
+        text: 'hi',
+        uid,
+        senderName: uid,
+        createdAt: serverTimestamp(),
+        ...fields
+    });
+    batch.set(doc(firestore, 'groups', groupId, 'chatState', uid), { lastMessageAt: serverTimestamp() });
+    return batch.commit();
+}
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-learn-better-together',
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+});
+
+after(async () => {
+    if (testEnv) await testEnv.cleanup();
+});
+
+describe('joining and leaving', () => {
+    it('lets a user join a public group with room', async () => {
+        await seed('groups/g1', group(['alice']));
+        await assertSucceeds(join(db('bob'), 'g1', 'bob', 2));
+    });
+
+    it('refuses a join that would go over maxSize', async () => {
+        await seed('groups/g1', group(['alice', 'bob'], { maxSize: 2 }));
+        await assertFails(join(db('carol'), 'g1', 'carol', 3));
+    });
+
+    it('refuses a join with a wrong member count', async () => {
+        await seed('groups/g1', group(['alice']));
+        await assertFails(join(db('bob'), 'g1', 'bob', 5));
+    });
+
+    it('refuses adding someone else', async () => {
+        await seed('groups/g1', group(['alice']));
+        await assertFails(join(db('bob'), 'g1', 'carol', 2));
+    });
+
+    it('refuses joining a request-only group directly', async () => {
+        await seed('groups/g1', group(['alice'], { visibility: 'request' }));
+        await assertFails(join(db('bob'), 'g1', 'bob', 2));
+    });
+
+    it('lets a member leave a full group', async () => {
+        await seed('groups/g1', group(['alice', 'bob'], { maxSize: 2 }));
+        await assertSucceeds(leave(db('bob'), 'g1', 'bob', ['alice']));
+    });
+
+    it('hands ownership on when the owner leaves', async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+        await assertSucceeds(leave(db('alice'), 'g1', 'alice', ['bob'], { createdBy: 'bob' }));
+    });
+
+    it('refuses removing other members when leaving', async () => {
+        await seed('groups/g1', group(['alice', 'bob', 'carol']));
+        await assertFails(leave(db('carol'), 'g1', 'carol', ['alice']));
+    });
+
+    it('lets the last member out delete the group', async () => {
+        await seed('groups/g1', group(['alice']));
+        await assertSucceeds(deleteDoc(doc(db('alice'), 'groups', 'g1')));
+    });
+
+    it('lets the last member clear the group\'s subcollections', async () => {
+        await seed('groups/g1', group(['alice']));
+        await seed('groups/g1/messages/m1', { uid: 'bob', text: 'hi' });
+        await seed('groups/g1/publications/p1/versions/1', { version: 1 });
+        await assertSucceeds(deleteDoc(doc(db('alice'), 'groups/g1/messages/m1')));
+        await assertSucceeds(deleteDoc(doc(db('alice'), 'groups/g1/publications/p1/versions/1')));
+    });
+
+    it('refuses deleting a group that still has other members', async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+        await assertFails(deleteDoc(doc(db('alice'), 'groups', 'g1')));
+    });
+
+    it('lets only the last member close the group, and nobody joins after', async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+        await assertFails(updateDoc(doc(db('alice'), 'groups', 'g1'), { closing: true }));
+        await seed('groups/g2', group(['alice']));
+        await assertSucceeds(updateDoc(doc(db('alice'), 'groups', 'g2'), { closing: true }));
+        await assertFails(join(db('bob'), 'g2', 'bob', 2));
+    });
+
+    it('lets the last member clear every invite to the group', async () => {
+        await seed('groups/g1', group(['alice']));
+        await seed('invites/code1', { groupId: 'g1', createdBy: 'bob', maxUses: 0, expiresAt: null, uses: 0 });
+        const firestore = db('alice');
+        await assertSucceeds(getDocs(query(collection(firestore, 'invites'), where('groupId', '==', 'g1'))));
+        await assertSucceeds(deleteDoc(doc(firestore, 'invites', 'code1')));
+    });
+});
+
+describe('non-members', () => {
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice']));
+    });
+
+    it('cannot rename the group', async () => {
+        await assertFails(updateDoc(doc(db('mallory'), 'groups', 'g1'), { name: 'Taken over' }));
+    });
+
+    it('cannot bump group activity', async () => {
+        await assertFails(updateDoc(doc(db('mallory'), 'groups', 'g1'), { lastActivityAt: serverTimestamp() }));
+    });
+
+    it('cannot post chat messages', async () => {
+        await assertFails(setDoc(doc(db('mallory'), 'groups/g1/messages/m1'), { uid: 'mallory', text: 'hi' }));
+    });
+
+    it('cannot share resources', async () => {
+        await assertFails(setDoc(doc(db('mallory'), 'groups/g1/resources/r1'), {
+            type: 'note', title: 'Spam', url: '', body: 'spam', tags: [],
+            uid: 'mallory', upvotes: [], upvoteCount: 0, pinned: false
+        }));
+    });
+
+    it('cannot write the shared session', async () => {
+        await assertFails(setDoc(doc(db('mallory'), 'groups/g1/sharedSession/current'), { participants: ['mallory'] }));
+    });
+
+    it('cannot post leaderboard totals, presence or chat state', async () => {
+        const firestore = db('mallory');
+        await assertFails(setDoc(doc(firestore, 'groups/g1/leaderboard/mallory'), {
+            name: 'mallory', today: 0, todayKey: '2026-01-05', week: 0, weekKey: '2026-01-05', allTime: 0,
+            updatedAt: serverTimestamp()
+        }));
+        await assertFails(setDoc(doc(firestore, 'groups/g1/presence/mallory'), { name: 'mallory', since: Date.now(), updatedAt: serverTimestamp() }));
+        await assertFails(setDoc(doc(firestore, 'groups/g1/chatState/mallory'), { lastMessageAt: serverTimestamp() }));
+    });
+
+    it('cannot list the group\'s invites', async () => {
+        await seed('invites/code1', { groupId: 'g1', createdBy: 'alice', maxUses: 0, expiresAt: null, uses: 0 });
+        await assertFails(getDocs(query(collection(db('mallory'), 'invites'), where('groupId', '==', 'g1'))));
+    });
+
+    it('cannot read an invite-only group', async () => {
+        await seed('groups/g2', group(['alice'], { visibility: 'invite' }));
+        await assertFails(getDoc(doc(db('mallory'), 'groups', 'g2')));
+        await assertSucceeds(getDoc(doc(db('alice'), 'groups', 'g2')));
+    });
+});
+
+describe('chat', () => {
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+    });
+
+    it('lets a member post under their own name', async () => {
+        await assertSucceeds(postMessage(db('bob'), 'g1', 'bob'));
+    });
+
+    it('refuses a spoofed sender name', async () => {
+        await assertFails(postMessage(db('bob'), 'g1', 'bob', { senderName: 'alice' }));
+    });
+
+    it('refuses a client-chosen timestamp', async () => {
+        await assertFails(postMessage(db('bob'), 'g1', 'bob', { createdAt: new Date(Date.now() + 86400000) }));
+    });
+
+    it('refuses a message that skips the rate limit stamp', async () => {
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/messages/m1'), {
+            text: 'hi', uid: 'bob', senderName: 'bob', createdAt: serverTimestamp()
+        }));
+    });
+
+    it('refuses messages sent too quickly', async () => {
+        await assertSucceeds(postMessage(db('bob'), 'g1', 'bob'));
+        await assertFails(postMessage(db('bob'), 'g1', 'bob'));
+    });
+});
+
+describe('leaderboard and presence', () => {
+    function entry(extra = {}) {
+        return {
+            name: 'bob',
+            today: 3600000,
+            todayKey: '2026-01-05',
+            week: 7200000,
+            weekKey: '2026-01-05',
+            allTime: 36000000,
+            updatedAt: serverTimestamp(),
+            ...extra
+        };
+    }
+
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+    });
+
+    it('accepts a member\'s own totals', async () => {
+        await assertSucceeds(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry()));
+    });
+
+    it('refuses impossible totals', async () => {
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ today: 90000000 })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ week: 8 * 86400000 })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ allTime: -1 })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ today: 'lots' })));
+    });
+
+    it('refuses another name, extra fields or a made-up time', async () => {
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ name: 'alice' })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ badge: 'champion' })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/leaderboard/bob'), entry({ updatedAt: new Date() })));
+    });
+
+    it('checks presence the same way', async () => {
+        const presence = { name: 'bob', since: Date.now(), updatedAt: serverTimestamp() };
+        await assertSucceeds(setDoc(doc(db('bob'), 'groups/g1/presence/bob'), presence));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/presence/bob'), { ...presence, name: 'alice' }));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/presence/bob'), { ...presence, note: 'hi' }));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/presence/bob'), { ...presence, since: 'now' }));
+    });
+});
+
+describe('shared sessions', () => {
+    // Mirrors startSharedSession in src/shared-session.js.
+    function start(uid, extra = {}) {
+        return {
+            startedBy: uid,
+            participants: [uid],
+            participantNames: { [uid]: uid },
+            running: true,
+            startTime: Date.now(),
+            elapsed: 0,
+            ended: false,
+            updatedAt: serverTimestamp(),
+            ...extra
+        };
+    }
+
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice', 'bob', 'carol']));
+    });
+
+    it('lets a member start the group\'s session', async () => {
+        await assertSucceeds(setDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), start('bob')));
+    });
+
+    it('refuses other session ids and odd shapes', async () => {
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/sharedSession/other'), start('bob')));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), start('bob', { participants: ['bob', 'alice'] })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), start('bob', { startedBy: 'alice' })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), start('bob', { elapsed: 3600000 })));
+    });
+
+    it('lets members join and leave themselves', async () => {
+        await seed('groups/g1/sharedSession/current', start('alice'));
+        await assertSucceeds(updateDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), {
+            participants: arrayUnion('bob'),
+            'participantNames.bob': 'bob'
+        }));
+        await assertSucceeds(updateDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), { participants: ['alice'] }));
+    });
+
+    it('refuses editing someone else\'s participation', async () => {
+        await seed('groups/g1/sharedSession/current', start('alice', { participants: ['alice', 'carol'] }));
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), { participants: ['carol'] }));
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), { participants: arrayUnion('dave') }));
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), { 'participantNames.alice': 'mallory' }));
+    });
+
+    it('only lets participants or the starter pause or end it', async () => {
+        await seed('groups/g1/sharedSession/current', start('alice', { participants: ['alice', 'carol'] }));
+        const pause = { running: false, elapsed: 60000, updatedAt: serverTimestamp() };
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), pause));
+        await assertSucceeds(updateDoc(doc(db('carol'), 'groups/g1/sharedSession/current'), pause));
+        await assertSucceeds(updateDoc(doc(db('alice'), 'groups/g1/sharedSession/current'), { ended: true, updatedAt: serverTimestamp() }));
+    });
+
+    it('lets a member start over once the session has ended', async () => {
+        await seed('groups/g1/sharedSession/current', start('alice', { ended: true, running: false }));
+        await assertSucceeds(setDoc(doc(db('bob'), 'groups/g1/sharedSession/current'), start('bob')));
+    });
+});
+
+describe('scheduled sessions', () => {
+    // Mirrors scheduleSession in src/group-calendar.js.
+    function scheduled(uid, extra = {}) {
+        return {
+            topic: 'Integrals',
+            groupName: 'Calculus',
+            startAt: Timestamp.fromMillis(Date.now() + 86400000),
+            durationMinutes: 60,
+            createdBy: uid,
+            creatorName: uid,
+            going: [uid],
+            goingNames: { [uid]: uid },
+            createdAt: serverTimestamp(),
+            ...extra
+        };
+    }
+
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice', 'bob', 'carol']));
+    });
+
+    it('lets a member schedule a session', async () => {
+        await assertSucceeds(setDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), scheduled('bob')));
+    });
+
+    it('refuses a made-up creator or group name, or extra fields', async () => {
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), scheduled('bob', { creatorName: 'alice' })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), scheduled('bob', { groupName: 'Free money' })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), scheduled('bob', { goingNames: { bob: 'alice' } })));
+        await assertFails(setDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), scheduled('bob', { pinned: true })));
+    });
+
+    it('lets members RSVP under their own name', async () => {
+        await seed('groups/g1/scheduledSessions/s1', scheduled('alice'));
+        await assertSucceeds(updateDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), {
+            going: arrayUnion('bob'),
+            'goingNames.bob': 'bob'
+        }));
+    });
+
+    it('refuses rewriting other attendees\' names or RSVPing under another name', async () => {
+        await seed('groups/g1/scheduledSessions/s1', scheduled('alice'));
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), { 'goingNames.alice': 'mallory' }));
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), {
+            going: arrayUnion('bob'),
+            'goingNames.bob': 'alice'
+        }));
+    });
+});
+
+describe('publications', () => {
+    const content = { markdown: '# Limits' };
+
+    // Mirrors publish in src/group-publications.js.
+    function publishLesson(firestore, uid, extra = {}, versionExtra = {}) {
+        const batch = writeBatch(firestore);
+        batch.set(doc(firestore, 'groups/g1/publications/p1'), {
+            kind: 'lesson',
+            title: 'Limits',
+            description: '',
+            content,
+            authorId: uid,
+            authorName: uid,
+            version: 1,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+            ...extra
+        });
+        batch.set(doc(firestore, 'groups/g1/publications/p1/versions/1'), {
+            version: 1,
+            title: 'Limits',
+            description: '',
+            content,
+            note: 'First version',
+            createdAt: serverTimestamp(),
+            ...versionExtra
+        });
+        return batch.commit();
+    }
+
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+    });
+
+    it('lets a member publish under their own name', async () => {
+        await assertSucceeds(publishLesson(db('bob'), 'bob'));
+    });
+
+    it('refuses another author name', async () => {
+        await assertFails(publishLesson(db('bob'), 'bob', { authorName: 'alice' }));
+    });
+
+    it('refuses a version that doesn\'t match the publication', async () => {
+        await assertFails(publishLesson(db('bob'), 'bob', {}, { content: { markdown: '# Something else' } }));
+        await assertFails(publishLesson(db('bob'), 'bob', {}, { title: 'Other title' }));
+    });
+
+    it('only lets the author publish a new version', async () => {
+        await seed('groups/g1/publications/p1', {
+            kind: 'lesson', title: 'Limits', description: '', content,
+            authorId: 'bob', authorName: 'bob', version: 1
+        });
+        const update = (firestore) => {
+            const batch = writeBatch(firestore);
+            batch.update(doc(firestore, 'groups/g1/publications/p1'), { content: { markdown: '# Limits v2' }, version: 2 });
+            batch.set(doc(firestore, 'groups/g1/publications/p1/versions/2'), {
+                version: 2, title: 'Limits', description: '', content: { markdown: '# Limits v2' }, note: ''
+            });
+            return batch.commit();
+        };
+        await assertFails(update(db('alice')));
+        await assertSucceeds(update(db('bob')));
+    });
+});
+
+describe('renaming', () => {
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice', 'bob'], { memberNames: { alice: 'alice', bob: 'bobby' } }));
+    });
+
+    it('lets members update the copies of their own name', async () => {
+        await seed('groups/g1/presence/bob', { name: 'bob', since: Date.now(), updatedAt: new Date() });
+        await seed('groups/g1/scheduledSessions/s1', { createdBy: 'bob', creatorName: 'bob', going: ['bob'], goingNames: { bob: 'bob' } });
+        const firestore = db('bob');
+        await assertSucceeds(updateDoc(doc(firestore, 'groups/g1/presence/bob'), { name: 'bobby' }));
+        await assertSucceeds(updateDoc(doc(firestore, 'groups/g1/scheduledSessions/s1'), { creatorName: 'bobby' }));
+        await assertSucceeds(updateDoc(doc(firestore, 'groups/g1/scheduledSessions/s1'), { 'goingNames.bob': 'bobby' }));
+    });
+
+    it('refuses names the group doesn\'t know them by', async () => {
+        await seed('groups/g1/scheduledSessions/s1', { createdBy: 'bob', creatorName: 'bob', going: ['bob'], goingNames: { bob: 'bob' } });
+        await assertFails(updateDoc(doc(db('bob'), 'groups/g1/scheduledSessions/s1'), { creatorName: 'alice' }));
+        await assertFails(updateDoc(doc(db('alice'), 'groups/g1/scheduledSessions/s1'), { creatorName: 'alice' }));
+    });
+});
+
+describe('invites', () => {
+    beforeEach(async () => {
+        await seed('groups/g1', group(['alice'], { visibility: 'invite', maxSize: 3 }));
+        await seed('invites/code1', { groupId: 'g1', createdBy: 'alice', maxUses: 0, expiresAt: null, uses: 0 });
+    });
+
+    it('lets several people join with the same code', async () => {
+        await assertSucceeds(joinWithInvite(db('bob'), 'g1', 'bob', 'code1'));
+        await assertSucceeds(joinWithInvite(db('carol'), 'g1', 'carol', 'code1'));
+    });
+
+    it('still enforces maxSize', async () => {
+        await assertSucceeds(joinWithInvite(db('bob'), 'g1', 'bob', 'code1'));
+        await assertSucceeds(joinWithInvite(db('carol'), 'g1', 'carol', 'code1'));
+        await assertFails(joinWithInvite(db('dave'), 'g1', 'dave', 'code1'));
+    });
+
+    it('refuses joining without an invite', async () => {
+        await assertFails(join(db('bob'), 'g1', 'bob', 2));
+    });
+
+    it('refuses an invite for another group', async () => {
+        await seed('invites/other', { groupId: 'g2', createdBy: 'alice', maxUses: 0, expiresAt: null, uses: 0 });
+        await assertFails(joinWithInvite(db('bob'), 'g1', 'bob', 'other'));
+    });
+
+    it('refuses a used-up invite', async () => {
+        await seed('invites/code1', { groupId: 'g1', createdBy: 'alice', maxUses: 1, expiresAt: null, uses: 1 });
+        await assertFails(joinWithInvite(db('bob'), 'g1', 'bob', 'code1'));
+    });
+
+    it('refuses an expired invite', async () => {
+        await seed('invites/code1', { groupId: 'g1', createdBy: 'alice', maxUses: 0, expiresAt: new Date(Date.now() - 1000), uses: 0 });
+        await assertFails(joinWithInvite(db('bob'), 'g1', 'bob', 'code1'));
+    });
+
+    it('refuses joining a group that is closing', async () => {
+        await seed('groups/g1', group(['alice'], { visibility: 'invite', maxSize: 3, closing: true }));
+        await assertFails(joinWithInvite(db('bob'), 'g1', 'bob', 'code1'));
+    });
+
+    it('refuses bumping uses without joining', async () => {
+        await assertFails(updateDoc(doc(db('mallory'), 'invites', 'code1'), { uses: increment(1) }));
+    });
+});
+
+describe('join requests', () => {
+    it('lets a user ask again', async () => {
+        await seed('groups/g1', group(['alice'], { visibility: 'request' }));
+        const firestore = db('bob');
+        await assertSucceeds(setDoc(doc(firestore, 'groups/g1/joinRequests/bob'), { name: 'bob', createdAt: serverTimestamp() }));
+        await assertSucceeds(setDoc(doc(firestore, 'groups/g1/joinRequests/bob'), { name: 'bobby', createdAt: serverTimestamp() }));
+    });
+});
+
+describe('unverified accounts', () => {
+    function unverified(uid) {
+        return testEnv.authenticatedContext(uid, { email_verified: false }).firestore();
+    }
+
+    it('cannot join or post', async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+        await assertFails(join(unverified('carol'), 'g1', 'carol', 3));
+        await assertFails(setDoc(doc(unverified('bob'), 'groups/g1/messages/m1'), { uid: 'bob', text: 'hi' }));
+        await assertFails(getDoc(doc(unverified('bob'), 'groups/g1/messages/m1')));
+    });
+
+    it('can still leave a group they are in', async () => {
+        await seed('groups/g1', group(['alice', 'bob']));
+        await assertSucceeds(getDoc(doc(unverified('bob'), 'groups', 'g1')));
+        await assertSucceeds(leave(unverified('bob'), 'g1', 'bob', ['alice']));
+    });
+});
+
+describe('groups from before memberCount', () => {
+    it('still accept activity and name updates from members', async () => {
+        const legacy = group(['alice', 'bob']);
+        delete legacy.memberCount;
+        await seed('groups/g1', legacy);
+        await assertSucceeds(updateDoc(doc(db('bob'), 'groups', 'g1'), { lastActivityAt: serverTimestamp() }));
+        await assertSucceeds(updateDoc(doc(db('bob'), 'groups', 'g1'), { 'memberNames.bob': 'Bobby' }));
+    });
+});
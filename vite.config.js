@@ -14,7 +14,11 @@ export default defineConfig({
         main: '/index.html',
         homepage: '/homepage.html',
         groups: '/groups.html',
-        stopwatch: '/stopwatch.html'
+        stopwatch: '/stopwatch.html',
+        profile: '/profile.html',
+        account: '/account.html',
+        flashcards: '/flashcards.html',
+        lessons: '/lessons.html'
       }
     }
   },